@@ -9,13 +9,14 @@
 # the linked audio file.
 #
 # Usage:
-#   ./og-audio-dl.sh <url> [output-directory]
-#   ./og-audio-dl.sh --batch <file-with-urls> [output-directory]
+#   ./og-audio-dl.sh [--template <template>] <url> [output-directory]
+#   ./og-audio-dl.sh [--template <template>] --batch <file-with-urls> [output-directory]
 #
 # Examples:
 #   ./og-audio-dl.sh https://example.com/some-song-page
 #   ./og-audio-dl.sh https://example.com/some-song-page ./my-music
 #   ./og-audio-dl.sh --batch urls.txt ./my-music
+#   ./og-audio-dl.sh --template '{host}/{track:02} {title}.{ext}' --batch urls.txt
 #
 # Supported meta tags (checked in order):
 #   1. og:audio          — Open Graph audio URL
@@ -25,10 +26,22 @@
 #
 # The filename is derived from og:title (or <title>) and the audio file
 # extension. If no title is found, the URL's hostname and path are used.
+# --template takes the same templates as the web app's ?template= (fields
+# the CLI cannot see, such as {year}, are left empty).
+#
+# Failures are printed as "Error <CODE>: <message>" with the API's error
+# codes (ORIGIN_TIMEOUT, ORIGIN_HTTP_ERROR, NOT_HTML, NO_AUDIO_TAG, ...).
 
 set -euo pipefail
 
 VERSION="1.0.0"
+DEFAULT_TEMPLATE="{artist} - {title}.{ext}"
+TEMPLATE="$DEFAULT_TEMPLATE"
+TEMPLATE_FIELDS="title artist album year model track playlist host ext"
+MAX_FILENAME_BYTES=255
+MAX_HTML_BYTES=2097152
+# curl retries timeouts, 429 and 5xx with backoff, honouring Retry-After
+CURL_RETRY=(--connect-timeout 10 --retry 2 --retry-max-time 60 --max-redirs 5)
 
 # --- Helpers ---
 
@@ -36,11 +49,13 @@ usage() {
     echo "og-audio-dl v${VERSION} — Download audio from any webpage via Open Graph metadata"
     echo ""
     echo "Usage:"
-    echo "  $0 <url> [output-directory]"
-    echo "  $0 --batch <file-with-urls> [output-directory]"
+    echo "  $0 [--template <template>] <url> [output-directory]"
+    echo "  $0 [--template <template>] --batch <file-with-urls> [output-directory]"
     echo ""
     echo "Options:"
     echo "  --batch <file>   Read URLs from a file (one per line)"
+    echo "  --template <t>   Filename template (default: ${DEFAULT_TEMPLATE})"
+    echo "                   Fields: {title} {artist} {host} {track} {ext}; {track:02} pads"
     echo "  --help           Show this help message"
     echo "  --version        Show version"
     echo ""
@@ -48,13 +63,15 @@ usage() {
     echo "  $0 https://example.com/some-song-page"
     echo "  $0 https://example.com/some-song-page ./my-music"
     echo "  $0 --batch urls.txt ./my-music"
+    echo "  $0 --template '{host}/{track:02} {title}.{ext}' --batch urls.txt"
 }
 
 extract_meta() {
     local page="$1"
     local property="$2"
     # Handle both property="og:X" and name="twitter:X" attributes
-    echo "$page" | grep -oiE "<meta[^>]+(property|name)=\"${property}\"[^>]+>" | head -1 | grep -oiE 'content="[^"]*"' | head -1 | sed 's/content="//;s/"$//'
+    # (a missing tag is an empty result, not a pipefail exit)
+    echo "$page" | grep -oiE "<meta[^>]+(property|name)=\"${property}\"[^>]+>" | head -1 | grep -oiE 'content="[^"]*"' | head -1 | sed 's/content="//;s/"$//' || true
 }
 
 # Guess file extension from a URL
@@ -70,28 +87,821 @@ guess_extension() {
     esac
 }
 
-# Make a string safe for use as a filename
+# Site names that pages append to their titles (extended regexes, anchored
+# at the end). Keep in sync with TITLE_SUFFIXES in src/worker.js.
+TITLE_SEPARATOR='(\||·|–|—|-)'
+TITLE_SUFFIXES=(
+    " ${TITLE_SEPARATOR} Udio\$"
+    " ${TITLE_SEPARATOR} Suno\$"
+    " ${TITLE_SEPARATOR} Listen online for free on SoundCloud\$"
+    " ${TITLE_SEPARATOR} SoundCloud\$"
+    " ${TITLE_SEPARATOR} Bandcamp\$"
+    " ${TITLE_SEPARATOR} Mixcloud\$"
+    " ${TITLE_SEPARATOR} Audiomack\$"
+    " ${TITLE_SEPARATOR} YouTube\$"
+    " ${TITLE_SEPARATOR} Spotify\$"
+    " on Spotify\$"
+    " on Apple Music\$"
+    " on Apple Podcasts\$"
+)
+
+# Decode HTML entities. Numeric references, most named ones and Unicode
+# NFC need perl; without it only the common named entities are handled.
+# Pass "attribute" as the second argument for text taken from an attribute
+# value, where "&copy=2" is left alone as it is in a browser.
+decode_entities() {
+    local attribute=""
+    [ "${2:-}" = attribute ] && attribute=1
+    if command -v perl >/dev/null 2>&1; then
+        perl -s -MUnicode::Normalize -CS -pe '
+            BEGIN {
+                # entities:begin (generated from src/entities.js by `npm run entities`)
+                %named = (
+                    AElig => "\x{C6}", AMP => "\x{26}", Aacute => "\x{C1}", Abreve => "\x{102}",
+                    Acirc => "\x{C2}", Acy => "\x{410}", Afr => "\x{1D504}", Agrave => "\x{C0}",
+                    Alpha => "\x{391}", Amacr => "\x{100}", And => "\x{2A53}", Aogon => "\x{104}",
+                    Aopf => "\x{1D538}", ApplyFunction => "\x{2061}", Aring => "\x{C5}", Ascr => "\x{1D49C}",
+                    Assign => "\x{2254}", Atilde => "\x{C3}", Auml => "\x{C4}", Backslash => "\x{2216}",
+                    Barv => "\x{2AE7}", Barwed => "\x{2306}", Bcy => "\x{411}", Because => "\x{2235}",
+                    Bernoullis => "\x{212C}", Beta => "\x{392}", Bfr => "\x{1D505}", Bopf => "\x{1D539}",
+                    Breve => "\x{2D8}", Bscr => "\x{212C}", Bumpeq => "\x{224E}", CHcy => "\x{427}",
+                    COPY => "\x{A9}", Cacute => "\x{106}", Cap => "\x{22D2}",
+                    CapitalDifferentialD => "\x{2145}", Cayleys => "\x{212D}", Ccaron => "\x{10C}",
+                    Ccedil => "\x{C7}", Ccirc => "\x{108}", Cconint => "\x{2230}", Cdot => "\x{10A}",
+                    Cedilla => "\x{B8}", CenterDot => "\x{B7}", Cfr => "\x{212D}", Chi => "\x{3A7}",
+                    CircleDot => "\x{2299}", CircleMinus => "\x{2296}", CirclePlus => "\x{2295}",
+                    CircleTimes => "\x{2297}", ClockwiseContourIntegral => "\x{2232}",
+                    CloseCurlyDoubleQuote => "\x{201D}", CloseCurlyQuote => "\x{2019}", Colon => "\x{2237}",
+                    Colone => "\x{2A74}", Congruent => "\x{2261}", Conint => "\x{222F}",
+                    ContourIntegral => "\x{222E}", Copf => "\x{2102}", Coproduct => "\x{2210}",
+                    CounterClockwiseContourIntegral => "\x{2233}", Cross => "\x{2A2F}", Cscr => "\x{1D49E}",
+                    Cup => "\x{22D3}", CupCap => "\x{224D}", DD => "\x{2145}", DDotrahd => "\x{2911}",
+                    DJcy => "\x{402}", DScy => "\x{405}", DZcy => "\x{40F}", Dagger => "\x{2021}",
+                    Darr => "\x{21A1}", Dashv => "\x{2AE4}", Dcaron => "\x{10E}", Dcy => "\x{414}",
+                    Del => "\x{2207}", Delta => "\x{394}", Dfr => "\x{1D507}", DiacriticalAcute => "\x{B4}",
+                    DiacriticalDot => "\x{2D9}", DiacriticalDoubleAcute => "\x{2DD}",
+                    DiacriticalGrave => "\x{60}", DiacriticalTilde => "\x{2DC}", Diamond => "\x{22C4}",
+                    DifferentialD => "\x{2146}", Dopf => "\x{1D53B}", Dot => "\x{A8}", DotDot => "\x{20DC}",
+                    DotEqual => "\x{2250}", DoubleContourIntegral => "\x{222F}", DoubleDot => "\x{A8}",
+                    DoubleDownArrow => "\x{21D3}", DoubleLeftArrow => "\x{21D0}",
+                    DoubleLeftRightArrow => "\x{21D4}", DoubleLeftTee => "\x{2AE4}",
+                    DoubleLongLeftArrow => "\x{27F8}", DoubleLongLeftRightArrow => "\x{27FA}",
+                    DoubleLongRightArrow => "\x{27F9}", DoubleRightArrow => "\x{21D2}",
+                    DoubleRightTee => "\x{22A8}", DoubleUpArrow => "\x{21D1}",
+                    DoubleUpDownArrow => "\x{21D5}", DoubleVerticalBar => "\x{2225}", DownArrow => "\x{2193}",
+                    DownArrowBar => "\x{2913}", DownArrowUpArrow => "\x{21F5}", DownBreve => "\x{311}",
+                    DownLeftRightVector => "\x{2950}", DownLeftTeeVector => "\x{295E}",
+                    DownLeftVector => "\x{21BD}", DownLeftVectorBar => "\x{2956}",
+                    DownRightTeeVector => "\x{295F}", DownRightVector => "\x{21C1}",
+                    DownRightVectorBar => "\x{2957}", DownTee => "\x{22A4}", DownTeeArrow => "\x{21A7}",
+                    Downarrow => "\x{21D3}", Dscr => "\x{1D49F}", Dstrok => "\x{110}", ENG => "\x{14A}",
+                    ETH => "\x{D0}", Eacute => "\x{C9}", Ecaron => "\x{11A}", Ecirc => "\x{CA}",
+                    Ecy => "\x{42D}", Edot => "\x{116}", Efr => "\x{1D508}", Egrave => "\x{C8}",
+                    Element => "\x{2208}", Emacr => "\x{112}", EmptySmallSquare => "\x{25FB}",
+                    EmptyVerySmallSquare => "\x{25AB}", Eogon => "\x{118}", Eopf => "\x{1D53C}",
+                    Epsilon => "\x{395}", Equal => "\x{2A75}", EqualTilde => "\x{2242}",
+                    Equilibrium => "\x{21CC}", Escr => "\x{2130}", Esim => "\x{2A73}", Eta => "\x{397}",
+                    Euml => "\x{CB}", Exists => "\x{2203}", ExponentialE => "\x{2147}", Fcy => "\x{424}",
+                    Ffr => "\x{1D509}", FilledSmallSquare => "\x{25FC}", FilledVerySmallSquare => "\x{25AA}",
+                    Fopf => "\x{1D53D}", ForAll => "\x{2200}", Fouriertrf => "\x{2131}", Fscr => "\x{2131}",
+                    GJcy => "\x{403}", GT => "\x{3E}", Gamma => "\x{393}", Gammad => "\x{3DC}",
+                    Gbreve => "\x{11E}", Gcedil => "\x{122}", Gcirc => "\x{11C}", Gcy => "\x{413}",
+                    Gdot => "\x{120}", Gfr => "\x{1D50A}", Gg => "\x{22D9}", Gopf => "\x{1D53E}",
+                    GreaterEqual => "\x{2265}", GreaterEqualLess => "\x{22DB}",
+                    GreaterFullEqual => "\x{2267}", GreaterGreater => "\x{2AA2}", GreaterLess => "\x{2277}",
+                    GreaterSlantEqual => "\x{2A7E}", GreaterTilde => "\x{2273}", Gscr => "\x{1D4A2}",
+                    Gt => "\x{226B}", HARDcy => "\x{42A}", Hacek => "\x{2C7}", Hat => "\x{5E}",
+                    Hcirc => "\x{124}", Hfr => "\x{210C}", HilbertSpace => "\x{210B}", Hopf => "\x{210D}",
+                    HorizontalLine => "\x{2500}", Hscr => "\x{210B}", Hstrok => "\x{126}",
+                    HumpDownHump => "\x{224E}", HumpEqual => "\x{224F}", IEcy => "\x{415}",
+                    IJlig => "\x{132}", IOcy => "\x{401}", Iacute => "\x{CD}", Icirc => "\x{CE}",
+                    Icy => "\x{418}", Idot => "\x{130}", Ifr => "\x{2111}", Igrave => "\x{CC}",
+                    Im => "\x{2111}", Imacr => "\x{12A}", ImaginaryI => "\x{2148}", Implies => "\x{21D2}",
+                    Int => "\x{222C}", Integral => "\x{222B}", Intersection => "\x{22C2}",
+                    InvisibleComma => "\x{2063}", InvisibleTimes => "\x{2062}", Iogon => "\x{12E}",
+                    Iopf => "\x{1D540}", Iota => "\x{399}", Iscr => "\x{2110}", Itilde => "\x{128}",
+                    Iukcy => "\x{406}", Iuml => "\x{CF}", Jcirc => "\x{134}", Jcy => "\x{419}",
+                    Jfr => "\x{1D50D}", Jopf => "\x{1D541}", Jscr => "\x{1D4A5}", Jsercy => "\x{408}",
+                    Jukcy => "\x{404}", KHcy => "\x{425}", KJcy => "\x{40C}", Kappa => "\x{39A}",
+                    Kcedil => "\x{136}", Kcy => "\x{41A}", Kfr => "\x{1D50E}", Kopf => "\x{1D542}",
+                    Kscr => "\x{1D4A6}", LJcy => "\x{409}", LT => "\x{3C}", Lacute => "\x{139}",
+                    Lambda => "\x{39B}", Lang => "\x{27EA}", Laplacetrf => "\x{2112}", Larr => "\x{219E}",
+                    Lcaron => "\x{13D}", Lcedil => "\x{13B}", Lcy => "\x{41B}",
+                    LeftAngleBracket => "\x{27E8}", LeftArrow => "\x{2190}", LeftArrowBar => "\x{21E4}",
+                    LeftArrowRightArrow => "\x{21C6}", LeftCeiling => "\x{2308}",
+                    LeftDoubleBracket => "\x{27E6}", LeftDownTeeVector => "\x{2961}",
+                    LeftDownVector => "\x{21C3}", LeftDownVectorBar => "\x{2959}", LeftFloor => "\x{230A}",
+                    LeftRightArrow => "\x{2194}", LeftRightVector => "\x{294E}", LeftTee => "\x{22A3}",
+                    LeftTeeArrow => "\x{21A4}", LeftTeeVector => "\x{295A}", LeftTriangle => "\x{22B2}",
+                    LeftTriangleBar => "\x{29CF}", LeftTriangleEqual => "\x{22B4}",
+                    LeftUpDownVector => "\x{2951}", LeftUpTeeVector => "\x{2960}", LeftUpVector => "\x{21BF}",
+                    LeftUpVectorBar => "\x{2958}", LeftVector => "\x{21BC}", LeftVectorBar => "\x{2952}",
+                    Leftarrow => "\x{21D0}", Leftrightarrow => "\x{21D4}", LessEqualGreater => "\x{22DA}",
+                    LessFullEqual => "\x{2266}", LessGreater => "\x{2276}", LessLess => "\x{2AA1}",
+                    LessSlantEqual => "\x{2A7D}", LessTilde => "\x{2272}", Lfr => "\x{1D50F}",
+                    Ll => "\x{22D8}", Lleftarrow => "\x{21DA}", Lmidot => "\x{13F}",
+                    LongLeftArrow => "\x{27F5}", LongLeftRightArrow => "\x{27F7}",
+                    LongRightArrow => "\x{27F6}", Longleftarrow => "\x{27F8}",
+                    Longleftrightarrow => "\x{27FA}", Longrightarrow => "\x{27F9}", Lopf => "\x{1D543}",
+                    LowerLeftArrow => "\x{2199}", LowerRightArrow => "\x{2198}", Lscr => "\x{2112}",
+                    Lsh => "\x{21B0}", Lstrok => "\x{141}", Lt => "\x{226A}", Map => "\x{2905}",
+                    Mcy => "\x{41C}", MediumSpace => "\x{205F}", Mellintrf => "\x{2133}", Mfr => "\x{1D510}",
+                    MinusPlus => "\x{2213}", Mopf => "\x{1D544}", Mscr => "\x{2133}", Mu => "\x{39C}",
+                    NJcy => "\x{40A}", Nacute => "\x{143}", Ncaron => "\x{147}", Ncedil => "\x{145}",
+                    Ncy => "\x{41D}", NegativeMediumSpace => "\x{200B}", NegativeThickSpace => "\x{200B}",
+                    NegativeThinSpace => "\x{200B}", NegativeVeryThinSpace => "\x{200B}",
+                    NestedGreaterGreater => "\x{226B}", NestedLessLess => "\x{226A}", NewLine => "\x{A}",
+                    Nfr => "\x{1D511}", NoBreak => "\x{2060}", NonBreakingSpace => "\x{A0}",
+                    Nopf => "\x{2115}", Not => "\x{2AEC}", NotCongruent => "\x{2262}",
+                    NotCupCap => "\x{226D}", NotDoubleVerticalBar => "\x{2226}", NotElement => "\x{2209}",
+                    NotEqual => "\x{2260}", NotEqualTilde => "\x{2242}\x{338}", NotExists => "\x{2204}",
+                    NotGreater => "\x{226F}", NotGreaterEqual => "\x{2271}",
+                    NotGreaterFullEqual => "\x{2267}\x{338}", NotGreaterGreater => "\x{226B}\x{338}",
+                    NotGreaterLess => "\x{2279}", NotGreaterSlantEqual => "\x{2A7E}\x{338}",
+                    NotGreaterTilde => "\x{2275}", NotHumpDownHump => "\x{224E}\x{338}",
+                    NotHumpEqual => "\x{224F}\x{338}", NotLeftTriangle => "\x{22EA}",
+                    NotLeftTriangleBar => "\x{29CF}\x{338}", NotLeftTriangleEqual => "\x{22EC}",
+                    NotLess => "\x{226E}", NotLessEqual => "\x{2270}", NotLessGreater => "\x{2278}",
+                    NotLessLess => "\x{226A}\x{338}", NotLessSlantEqual => "\x{2A7D}\x{338}",
+                    NotLessTilde => "\x{2274}", NotNestedGreaterGreater => "\x{2AA2}\x{338}",
+                    NotNestedLessLess => "\x{2AA1}\x{338}", NotPrecedes => "\x{2280}",
+                    NotPrecedesEqual => "\x{2AAF}\x{338}", NotPrecedesSlantEqual => "\x{22E0}",
+                    NotReverseElement => "\x{220C}", NotRightTriangle => "\x{22EB}",
+                    NotRightTriangleBar => "\x{29D0}\x{338}", NotRightTriangleEqual => "\x{22ED}",
+                    NotSquareSubset => "\x{228F}\x{338}", NotSquareSubsetEqual => "\x{22E2}",
+                    NotSquareSuperset => "\x{2290}\x{338}", NotSquareSupersetEqual => "\x{22E3}",
+                    NotSubset => "\x{2282}\x{20D2}", NotSubsetEqual => "\x{2288}", NotSucceeds => "\x{2281}",
+                    NotSucceedsEqual => "\x{2AB0}\x{338}", NotSucceedsSlantEqual => "\x{22E1}",
+                    NotSucceedsTilde => "\x{227F}\x{338}", NotSuperset => "\x{2283}\x{20D2}",
+                    NotSupersetEqual => "\x{2289}", NotTilde => "\x{2241}", NotTildeEqual => "\x{2244}",
+                    NotTildeFullEqual => "\x{2247}", NotTildeTilde => "\x{2249}",
+                    NotVerticalBar => "\x{2224}", Nscr => "\x{1D4A9}", Ntilde => "\x{D1}", Nu => "\x{39D}",
+                    OElig => "\x{152}", Oacute => "\x{D3}", Ocirc => "\x{D4}", Ocy => "\x{41E}",
+                    Odblac => "\x{150}", Ofr => "\x{1D512}", Ograve => "\x{D2}", Omacr => "\x{14C}",
+                    Omega => "\x{3A9}", Omicron => "\x{39F}", Oopf => "\x{1D546}",
+                    OpenCurlyDoubleQuote => "\x{201C}", OpenCurlyQuote => "\x{2018}", Or => "\x{2A54}",
+                    Oscr => "\x{1D4AA}", Oslash => "\x{D8}", Otilde => "\x{D5}", Otimes => "\x{2A37}",
+                    Ouml => "\x{D6}", OverBar => "\x{203E}", OverBrace => "\x{23DE}",
+                    OverBracket => "\x{23B4}", OverParenthesis => "\x{23DC}", PartialD => "\x{2202}",
+                    Pcy => "\x{41F}", Pfr => "\x{1D513}", Phi => "\x{3A6}", Pi => "\x{3A0}",
+                    PlusMinus => "\x{B1}", Poincareplane => "\x{210C}", Popf => "\x{2119}", Pr => "\x{2ABB}",
+                    Precedes => "\x{227A}", PrecedesEqual => "\x{2AAF}", PrecedesSlantEqual => "\x{227C}",
+                    PrecedesTilde => "\x{227E}", Prime => "\x{2033}", Product => "\x{220F}",
+                    Proportion => "\x{2237}", Proportional => "\x{221D}", Pscr => "\x{1D4AB}",
+                    Psi => "\x{3A8}", QUOT => "\x{22}", Qfr => "\x{1D514}", Qopf => "\x{211A}",
+                    Qscr => "\x{1D4AC}", RBarr => "\x{2910}", REG => "\x{AE}", Racute => "\x{154}",
+                    Rang => "\x{27EB}", Rarr => "\x{21A0}", Rarrtl => "\x{2916}", Rcaron => "\x{158}",
+                    Rcedil => "\x{156}", Rcy => "\x{420}", Re => "\x{211C}", ReverseElement => "\x{220B}",
+                    ReverseEquilibrium => "\x{21CB}", ReverseUpEquilibrium => "\x{296F}", Rfr => "\x{211C}",
+                    Rho => "\x{3A1}", RightAngleBracket => "\x{27E9}", RightArrow => "\x{2192}",
+                    RightArrowBar => "\x{21E5}", RightArrowLeftArrow => "\x{21C4}",
+                    RightCeiling => "\x{2309}", RightDoubleBracket => "\x{27E7}",
+                    RightDownTeeVector => "\x{295D}", RightDownVector => "\x{21C2}",
+                    RightDownVectorBar => "\x{2955}", RightFloor => "\x{230B}", RightTee => "\x{22A2}",
+                    RightTeeArrow => "\x{21A6}", RightTeeVector => "\x{295B}", RightTriangle => "\x{22B3}",
+                    RightTriangleBar => "\x{29D0}", RightTriangleEqual => "\x{22B5}",
+                    RightUpDownVector => "\x{294F}", RightUpTeeVector => "\x{295C}",
+                    RightUpVector => "\x{21BE}", RightUpVectorBar => "\x{2954}", RightVector => "\x{21C0}",
+                    RightVectorBar => "\x{2953}", Rightarrow => "\x{21D2}", Ropf => "\x{211D}",
+                    RoundImplies => "\x{2970}", Rrightarrow => "\x{21DB}", Rscr => "\x{211B}",
+                    Rsh => "\x{21B1}", RuleDelayed => "\x{29F4}", SHCHcy => "\x{429}", SHcy => "\x{428}",
+                    SOFTcy => "\x{42C}", Sacute => "\x{15A}", Sc => "\x{2ABC}", Scaron => "\x{160}",
+                    Scedil => "\x{15E}", Scirc => "\x{15C}", Scy => "\x{421}", Sfr => "\x{1D516}",
+                    ShortDownArrow => "\x{2193}", ShortLeftArrow => "\x{2190}", ShortRightArrow => "\x{2192}",
+                    ShortUpArrow => "\x{2191}", Sigma => "\x{3A3}", SmallCircle => "\x{2218}",
+                    Sopf => "\x{1D54A}", Sqrt => "\x{221A}", Square => "\x{25A1}",
+                    SquareIntersection => "\x{2293}", SquareSubset => "\x{228F}",
+                    SquareSubsetEqual => "\x{2291}", SquareSuperset => "\x{2290}",
+                    SquareSupersetEqual => "\x{2292}", SquareUnion => "\x{2294}", Sscr => "\x{1D4AE}",
+                    Star => "\x{22C6}", Sub => "\x{22D0}", Subset => "\x{22D0}", SubsetEqual => "\x{2286}",
+                    Succeeds => "\x{227B}", SucceedsEqual => "\x{2AB0}", SucceedsSlantEqual => "\x{227D}",
+                    SucceedsTilde => "\x{227F}", SuchThat => "\x{220B}", Sum => "\x{2211}", Sup => "\x{22D1}",
+                    Superset => "\x{2283}", SupersetEqual => "\x{2287}", Supset => "\x{22D1}",
+                    THORN => "\x{DE}", TRADE => "\x{2122}", TSHcy => "\x{40B}", TScy => "\x{426}",
+                    Tab => "\x{9}", Tau => "\x{3A4}", Tcaron => "\x{164}", Tcedil => "\x{162}",
+                    Tcy => "\x{422}", Tfr => "\x{1D517}", Therefore => "\x{2234}", Theta => "\x{398}",
+                    ThickSpace => "\x{205F}\x{200A}", ThinSpace => "\x{2009}", Tilde => "\x{223C}",
+                    TildeEqual => "\x{2243}", TildeFullEqual => "\x{2245}", TildeTilde => "\x{2248}",
+                    Topf => "\x{1D54B}", TripleDot => "\x{20DB}", Tscr => "\x{1D4AF}", Tstrok => "\x{166}",
+                    Uacute => "\x{DA}", Uarr => "\x{219F}", Uarrocir => "\x{2949}", Ubrcy => "\x{40E}",
+                    Ubreve => "\x{16C}", Ucirc => "\x{DB}", Ucy => "\x{423}", Udblac => "\x{170}",
+                    Ufr => "\x{1D518}", Ugrave => "\x{D9}", Umacr => "\x{16A}", UnderBar => "\x{5F}",
+                    UnderBrace => "\x{23DF}", UnderBracket => "\x{23B5}", UnderParenthesis => "\x{23DD}",
+                    Union => "\x{22C3}", UnionPlus => "\x{228E}", Uogon => "\x{172}", Uopf => "\x{1D54C}",
+                    UpArrow => "\x{2191}", UpArrowBar => "\x{2912}", UpArrowDownArrow => "\x{21C5}",
+                    UpDownArrow => "\x{2195}", UpEquilibrium => "\x{296E}", UpTee => "\x{22A5}",
+                    UpTeeArrow => "\x{21A5}", Uparrow => "\x{21D1}", Updownarrow => "\x{21D5}",
+                    UpperLeftArrow => "\x{2196}", UpperRightArrow => "\x{2197}", Upsi => "\x{3D2}",
+                    Upsilon => "\x{3A5}", Uring => "\x{16E}", Uscr => "\x{1D4B0}", Utilde => "\x{168}",
+                    Uuml => "\x{DC}", VDash => "\x{22AB}", Vbar => "\x{2AEB}", Vcy => "\x{412}",
+                    Vdash => "\x{22A9}", Vdashl => "\x{2AE6}", Vee => "\x{22C1}", Verbar => "\x{2016}",
+                    Vert => "\x{2016}", VerticalBar => "\x{2223}", VerticalLine => "\x{7C}",
+                    VerticalSeparator => "\x{2758}", VerticalTilde => "\x{2240}", VeryThinSpace => "\x{200A}",
+                    Vfr => "\x{1D519}", Vopf => "\x{1D54D}", Vscr => "\x{1D4B1}", Vvdash => "\x{22AA}",
+                    Wcirc => "\x{174}", Wedge => "\x{22C0}", Wfr => "\x{1D51A}", Wopf => "\x{1D54E}",
+                    Wscr => "\x{1D4B2}", Xfr => "\x{1D51B}", Xi => "\x{39E}", Xopf => "\x{1D54F}",
+                    Xscr => "\x{1D4B3}", YAcy => "\x{42F}", YIcy => "\x{407}", YUcy => "\x{42E}",
+                    Yacute => "\x{DD}", Ycirc => "\x{176}", Ycy => "\x{42B}", Yfr => "\x{1D51C}",
+                    Yopf => "\x{1D550}", Yscr => "\x{1D4B4}", Yuml => "\x{178}", ZHcy => "\x{416}",
+                    Zacute => "\x{179}", Zcaron => "\x{17D}", Zcy => "\x{417}", Zdot => "\x{17B}",
+                    ZeroWidthSpace => "\x{200B}", Zeta => "\x{396}", Zfr => "\x{2128}", Zopf => "\x{2124}",
+                    Zscr => "\x{1D4B5}", aacute => "\x{E1}", abreve => "\x{103}", ac => "\x{223E}",
+                    acE => "\x{223E}\x{333}", acd => "\x{223F}", acirc => "\x{E2}", acute => "\x{B4}",
+                    acy => "\x{430}", aelig => "\x{E6}", af => "\x{2061}", afr => "\x{1D51E}",
+                    agrave => "\x{E0}", alefsym => "\x{2135}", aleph => "\x{2135}", alpha => "\x{3B1}",
+                    amacr => "\x{101}", amalg => "\x{2A3F}", amp => "\x{26}", and => "\x{2227}",
+                    andand => "\x{2A55}", andd => "\x{2A5C}", andslope => "\x{2A58}", andv => "\x{2A5A}",
+                    ang => "\x{2220}", ange => "\x{29A4}", angle => "\x{2220}", angmsd => "\x{2221}",
+                    angmsdaa => "\x{29A8}", angmsdab => "\x{29A9}", angmsdac => "\x{29AA}",
+                    angmsdad => "\x{29AB}", angmsdae => "\x{29AC}", angmsdaf => "\x{29AD}",
+                    angmsdag => "\x{29AE}", angmsdah => "\x{29AF}", angrt => "\x{221F}",
+                    angrtvb => "\x{22BE}", angrtvbd => "\x{299D}", angsph => "\x{2222}", angst => "\x{C5}",
+                    angzarr => "\x{237C}", aogon => "\x{105}", aopf => "\x{1D552}", ap => "\x{2248}",
+                    apE => "\x{2A70}", apacir => "\x{2A6F}", ape => "\x{224A}", apid => "\x{224B}",
+                    apos => "\x{27}", approx => "\x{2248}", approxeq => "\x{224A}", aring => "\x{E5}",
+                    ascr => "\x{1D4B6}", ast => "\x{2A}", asymp => "\x{2248}", asympeq => "\x{224D}",
+                    atilde => "\x{E3}", auml => "\x{E4}", awconint => "\x{2233}", awint => "\x{2A11}",
+                    bNot => "\x{2AED}", backcong => "\x{224C}", backepsilon => "\x{3F6}",
+                    backprime => "\x{2035}", backsim => "\x{223D}", backsimeq => "\x{22CD}",
+                    barvee => "\x{22BD}", barwed => "\x{2305}", barwedge => "\x{2305}", bbrk => "\x{23B5}",
+                    bbrktbrk => "\x{23B6}", bcong => "\x{224C}", bcy => "\x{431}", bdquo => "\x{201E}",
+                    becaus => "\x{2235}", because => "\x{2235}", bemptyv => "\x{29B0}", bepsi => "\x{3F6}",
+                    bernou => "\x{212C}", beta => "\x{3B2}", beth => "\x{2136}", between => "\x{226C}",
+                    bfr => "\x{1D51F}", bigcap => "\x{22C2}", bigcirc => "\x{25EF}", bigcup => "\x{22C3}",
+                    bigodot => "\x{2A00}", bigoplus => "\x{2A01}", bigotimes => "\x{2A02}",
+                    bigsqcup => "\x{2A06}", bigstar => "\x{2605}", bigtriangledown => "\x{25BD}",
+                    bigtriangleup => "\x{25B3}", biguplus => "\x{2A04}", bigvee => "\x{22C1}",
+                    bigwedge => "\x{22C0}", bkarow => "\x{290D}", blacklozenge => "\x{29EB}",
+                    blacksquare => "\x{25AA}", blacktriangle => "\x{25B4}", blacktriangledown => "\x{25BE}",
+                    blacktriangleleft => "\x{25C2}", blacktriangleright => "\x{25B8}", blank => "\x{2423}",
+                    blk12 => "\x{2592}", blk14 => "\x{2591}", blk34 => "\x{2593}", block => "\x{2588}",
+                    bne => "\x{3D}\x{20E5}", bnequiv => "\x{2261}\x{20E5}", bnot => "\x{2310}",
+                    bopf => "\x{1D553}", bot => "\x{22A5}", bottom => "\x{22A5}", bowtie => "\x{22C8}",
+                    boxDL => "\x{2557}", boxDR => "\x{2554}", boxDl => "\x{2556}", boxDr => "\x{2553}",
+                    boxH => "\x{2550}", boxHD => "\x{2566}", boxHU => "\x{2569}", boxHd => "\x{2564}",
+                    boxHu => "\x{2567}", boxUL => "\x{255D}", boxUR => "\x{255A}", boxUl => "\x{255C}",
+                    boxUr => "\x{2559}", boxV => "\x{2551}", boxVH => "\x{256C}", boxVL => "\x{2563}",
+                    boxVR => "\x{2560}", boxVh => "\x{256B}", boxVl => "\x{2562}", boxVr => "\x{255F}",
+                    boxbox => "\x{29C9}", boxdL => "\x{2555}", boxdR => "\x{2552}", boxdl => "\x{2510}",
+                    boxdr => "\x{250C}", boxh => "\x{2500}", boxhD => "\x{2565}", boxhU => "\x{2568}",
+                    boxhd => "\x{252C}", boxhu => "\x{2534}", boxminus => "\x{229F}", boxplus => "\x{229E}",
+                    boxtimes => "\x{22A0}", boxuL => "\x{255B}", boxuR => "\x{2558}", boxul => "\x{2518}",
+                    boxur => "\x{2514}", boxv => "\x{2502}", boxvH => "\x{256A}", boxvL => "\x{2561}",
+                    boxvR => "\x{255E}", boxvh => "\x{253C}", boxvl => "\x{2524}", boxvr => "\x{251C}",
+                    bprime => "\x{2035}", breve => "\x{2D8}", brvbar => "\x{A6}", bscr => "\x{1D4B7}",
+                    bsemi => "\x{204F}", bsim => "\x{223D}", bsime => "\x{22CD}", bsol => "\x{5C}",
+                    bsolb => "\x{29C5}", bsolhsub => "\x{27C8}", bull => "\x{2022}", bullet => "\x{2022}",
+                    bump => "\x{224E}", bumpE => "\x{2AAE}", bumpe => "\x{224F}", bumpeq => "\x{224F}",
+                    cacute => "\x{107}", cap => "\x{2229}", capand => "\x{2A44}", capbrcup => "\x{2A49}",
+                    capcap => "\x{2A4B}", capcup => "\x{2A47}", capdot => "\x{2A40}",
+                    caps => "\x{2229}\x{FE00}", caret => "\x{2041}", caron => "\x{2C7}", ccaps => "\x{2A4D}",
+                    ccaron => "\x{10D}", ccedil => "\x{E7}", ccirc => "\x{109}", ccups => "\x{2A4C}",
+                    ccupssm => "\x{2A50}", cdot => "\x{10B}", cedil => "\x{B8}", cemptyv => "\x{29B2}",
+                    cent => "\x{A2}", centerdot => "\x{B7}", cfr => "\x{1D520}", chcy => "\x{447}",
+                    check => "\x{2713}", checkmark => "\x{2713}", chi => "\x{3C7}", cir => "\x{25CB}",
+                    cirE => "\x{29C3}", circ => "\x{2C6}", circeq => "\x{2257}",
+                    circlearrowleft => "\x{21BA}", circlearrowright => "\x{21BB}", circledR => "\x{AE}",
+                    circledS => "\x{24C8}", circledast => "\x{229B}", circledcirc => "\x{229A}",
+                    circleddash => "\x{229D}", cire => "\x{2257}", cirfnint => "\x{2A10}",
+                    cirmid => "\x{2AEF}", cirscir => "\x{29C2}", clubs => "\x{2663}", clubsuit => "\x{2663}",
+                    colon => "\x{3A}", colone => "\x{2254}", coloneq => "\x{2254}", comma => "\x{2C}",
+                    commat => "\x{40}", comp => "\x{2201}", compfn => "\x{2218}", complement => "\x{2201}",
+                    complexes => "\x{2102}", cong => "\x{2245}", congdot => "\x{2A6D}", conint => "\x{222E}",
+                    copf => "\x{1D554}", coprod => "\x{2210}", copy => "\x{A9}", copysr => "\x{2117}",
+                    crarr => "\x{21B5}", cross => "\x{2717}", cscr => "\x{1D4B8}", csub => "\x{2ACF}",
+                    csube => "\x{2AD1}", csup => "\x{2AD0}", csupe => "\x{2AD2}", ctdot => "\x{22EF}",
+                    cudarrl => "\x{2938}", cudarrr => "\x{2935}", cuepr => "\x{22DE}", cuesc => "\x{22DF}",
+                    cularr => "\x{21B6}", cularrp => "\x{293D}", cup => "\x{222A}", cupbrcap => "\x{2A48}",
+                    cupcap => "\x{2A46}", cupcup => "\x{2A4A}", cupdot => "\x{228D}", cupor => "\x{2A45}",
+                    cups => "\x{222A}\x{FE00}", curarr => "\x{21B7}", curarrm => "\x{293C}",
+                    curlyeqprec => "\x{22DE}", curlyeqsucc => "\x{22DF}", curlyvee => "\x{22CE}",
+                    curlywedge => "\x{22CF}", curren => "\x{A4}", curvearrowleft => "\x{21B6}",
+                    curvearrowright => "\x{21B7}", cuvee => "\x{22CE}", cuwed => "\x{22CF}",
+                    cwconint => "\x{2232}", cwint => "\x{2231}", cylcty => "\x{232D}", dArr => "\x{21D3}",
+                    dHar => "\x{2965}", dagger => "\x{2020}", daleth => "\x{2138}", darr => "\x{2193}",
+                    dash => "\x{2010}", dashv => "\x{22A3}", dbkarow => "\x{290F}", dblac => "\x{2DD}",
+                    dcaron => "\x{10F}", dcy => "\x{434}", dd => "\x{2146}", ddagger => "\x{2021}",
+                    ddarr => "\x{21CA}", ddotseq => "\x{2A77}", deg => "\x{B0}", delta => "\x{3B4}",
+                    demptyv => "\x{29B1}", dfisht => "\x{297F}", dfr => "\x{1D521}", dharl => "\x{21C3}",
+                    dharr => "\x{21C2}", diam => "\x{22C4}", diamond => "\x{22C4}", diamondsuit => "\x{2666}",
+                    diams => "\x{2666}", die => "\x{A8}", digamma => "\x{3DD}", disin => "\x{22F2}",
+                    div => "\x{F7}", divide => "\x{F7}", divideontimes => "\x{22C7}", divonx => "\x{22C7}",
+                    djcy => "\x{452}", dlcorn => "\x{231E}", dlcrop => "\x{230D}", dollar => "\x{24}",
+                    dopf => "\x{1D555}", dot => "\x{2D9}", doteq => "\x{2250}", doteqdot => "\x{2251}",
+                    dotminus => "\x{2238}", dotplus => "\x{2214}", dotsquare => "\x{22A1}",
+                    doublebarwedge => "\x{2306}", downarrow => "\x{2193}", downdownarrows => "\x{21CA}",
+                    downharpoonleft => "\x{21C3}", downharpoonright => "\x{21C2}", drbkarow => "\x{2910}",
+                    drcorn => "\x{231F}", drcrop => "\x{230C}", dscr => "\x{1D4B9}", dscy => "\x{455}",
+                    dsol => "\x{29F6}", dstrok => "\x{111}", dtdot => "\x{22F1}", dtri => "\x{25BF}",
+                    dtrif => "\x{25BE}", duarr => "\x{21F5}", duhar => "\x{296F}", dwangle => "\x{29A6}",
+                    dzcy => "\x{45F}", dzigrarr => "\x{27FF}", eDDot => "\x{2A77}", eDot => "\x{2251}",
+                    eacute => "\x{E9}", easter => "\x{2A6E}", ecaron => "\x{11B}", ecir => "\x{2256}",
+                    ecirc => "\x{EA}", ecolon => "\x{2255}", ecy => "\x{44D}", edot => "\x{117}",
+                    ee => "\x{2147}", efDot => "\x{2252}", efr => "\x{1D522}", eg => "\x{2A9A}",
+                    egrave => "\x{E8}", egs => "\x{2A96}", egsdot => "\x{2A98}", el => "\x{2A99}",
+                    elinters => "\x{23E7}", ell => "\x{2113}", els => "\x{2A95}", elsdot => "\x{2A97}",
+                    emacr => "\x{113}", empty => "\x{2205}", emptyset => "\x{2205}", emptyv => "\x{2205}",
+                    emsp => "\x{2003}", emsp13 => "\x{2004}", emsp14 => "\x{2005}", eng => "\x{14B}",
+                    ensp => "\x{2002}", eogon => "\x{119}", eopf => "\x{1D556}", epar => "\x{22D5}",
+                    eparsl => "\x{29E3}", eplus => "\x{2A71}", epsi => "\x{3B5}", epsilon => "\x{3B5}",
+                    epsiv => "\x{3F5}", eqcirc => "\x{2256}", eqcolon => "\x{2255}", eqsim => "\x{2242}",
+                    eqslantgtr => "\x{2A96}", eqslantless => "\x{2A95}", equals => "\x{3D}",
+                    equest => "\x{225F}", equiv => "\x{2261}", equivDD => "\x{2A78}", eqvparsl => "\x{29E5}",
+                    erDot => "\x{2253}", erarr => "\x{2971}", escr => "\x{212F}", esdot => "\x{2250}",
+                    esim => "\x{2242}", eta => "\x{3B7}", eth => "\x{F0}", euml => "\x{EB}",
+                    euro => "\x{20AC}", excl => "\x{21}", exist => "\x{2203}", expectation => "\x{2130}",
+                    exponentiale => "\x{2147}", fallingdotseq => "\x{2252}", fcy => "\x{444}",
+                    female => "\x{2640}", ffilig => "\x{FB03}", fflig => "\x{FB00}", ffllig => "\x{FB04}",
+                    ffr => "\x{1D523}", filig => "\x{FB01}", fjlig => "\x{66}\x{6A}", flat => "\x{266D}",
+                    fllig => "\x{FB02}", fltns => "\x{25B1}", fnof => "\x{192}", fopf => "\x{1D557}",
+                    forall => "\x{2200}", fork => "\x{22D4}", forkv => "\x{2AD9}", fpartint => "\x{2A0D}",
+                    frac12 => "\x{BD}", frac13 => "\x{2153}", frac14 => "\x{BC}", frac15 => "\x{2155}",
+                    frac16 => "\x{2159}", frac18 => "\x{215B}", frac23 => "\x{2154}", frac25 => "\x{2156}",
+                    frac34 => "\x{BE}", frac35 => "\x{2157}", frac38 => "\x{215C}", frac45 => "\x{2158}",
+                    frac56 => "\x{215A}", frac58 => "\x{215D}", frac78 => "\x{215E}", frasl => "\x{2044}",
+                    frown => "\x{2322}", fscr => "\x{1D4BB}", gE => "\x{2267}", gEl => "\x{2A8C}",
+                    gacute => "\x{1F5}", gamma => "\x{3B3}", gammad => "\x{3DD}", gap => "\x{2A86}",
+                    gbreve => "\x{11F}", gcirc => "\x{11D}", gcy => "\x{433}", gdot => "\x{121}",
+                    ge => "\x{2265}", gel => "\x{22DB}", geq => "\x{2265}", geqq => "\x{2267}",
+                    geqslant => "\x{2A7E}", ges => "\x{2A7E}", gescc => "\x{2AA9}", gesdot => "\x{2A80}",
+                    gesdoto => "\x{2A82}", gesdotol => "\x{2A84}", gesl => "\x{22DB}\x{FE00}",
+                    gesles => "\x{2A94}", gfr => "\x{1D524}", gg => "\x{226B}", ggg => "\x{22D9}",
+                    gimel => "\x{2137}", gjcy => "\x{453}", gl => "\x{2277}", glE => "\x{2A92}",
+                    gla => "\x{2AA5}", glj => "\x{2AA4}", gnE => "\x{2269}", gnap => "\x{2A8A}",
+                    gnapprox => "\x{2A8A}", gne => "\x{2A88}", gneq => "\x{2A88}", gneqq => "\x{2269}",
+                    gnsim => "\x{22E7}", gopf => "\x{1D558}", grave => "\x{60}", gscr => "\x{210A}",
+                    gsim => "\x{2273}", gsime => "\x{2A8E}", gsiml => "\x{2A90}", gt => "\x{3E}",
+                    gtcc => "\x{2AA7}", gtcir => "\x{2A7A}", gtdot => "\x{22D7}", gtlPar => "\x{2995}",
+                    gtquest => "\x{2A7C}", gtrapprox => "\x{2A86}", gtrarr => "\x{2978}",
+                    gtrdot => "\x{22D7}", gtreqless => "\x{22DB}", gtreqqless => "\x{2A8C}",
+                    gtrless => "\x{2277}", gtrsim => "\x{2273}", gvertneqq => "\x{2269}\x{FE00}",
+                    gvnE => "\x{2269}\x{FE00}", hArr => "\x{21D4}", hairsp => "\x{200A}", half => "\x{BD}",
+                    hamilt => "\x{210B}", hardcy => "\x{44A}", harr => "\x{2194}", harrcir => "\x{2948}",
+                    harrw => "\x{21AD}", hbar => "\x{210F}", hcirc => "\x{125}", hearts => "\x{2665}",
+                    heartsuit => "\x{2665}", hellip => "\x{2026}", hercon => "\x{22B9}", hfr => "\x{1D525}",
+                    hksearow => "\x{2925}", hkswarow => "\x{2926}", hoarr => "\x{21FF}", homtht => "\x{223B}",
+                    hookleftarrow => "\x{21A9}", hookrightarrow => "\x{21AA}", hopf => "\x{1D559}",
+                    horbar => "\x{2015}", hscr => "\x{1D4BD}", hslash => "\x{210F}", hstrok => "\x{127}",
+                    hybull => "\x{2043}", hyphen => "\x{2010}", iacute => "\x{ED}", ic => "\x{2063}",
+                    icirc => "\x{EE}", icy => "\x{438}", iecy => "\x{435}", iexcl => "\x{A1}",
+                    iff => "\x{21D4}", ifr => "\x{1D526}", igrave => "\x{EC}", ii => "\x{2148}",
+                    iiiint => "\x{2A0C}", iiint => "\x{222D}", iinfin => "\x{29DC}", iiota => "\x{2129}",
+                    ijlig => "\x{133}", imacr => "\x{12B}", image => "\x{2111}", imagline => "\x{2110}",
+                    imagpart => "\x{2111}", imath => "\x{131}", imof => "\x{22B7}", imped => "\x{1B5}",
+                    in => "\x{2208}", incare => "\x{2105}", infin => "\x{221E}", infintie => "\x{29DD}",
+                    inodot => "\x{131}", int => "\x{222B}", intcal => "\x{22BA}", integers => "\x{2124}",
+                    intercal => "\x{22BA}", intlarhk => "\x{2A17}", intprod => "\x{2A3C}", iocy => "\x{451}",
+                    iogon => "\x{12F}", iopf => "\x{1D55A}", iota => "\x{3B9}", iprod => "\x{2A3C}",
+                    iquest => "\x{BF}", iscr => "\x{1D4BE}", isin => "\x{2208}", isinE => "\x{22F9}",
+                    isindot => "\x{22F5}", isins => "\x{22F4}", isinsv => "\x{22F3}", isinv => "\x{2208}",
+                    it => "\x{2062}", itilde => "\x{129}", iukcy => "\x{456}", iuml => "\x{EF}",
+                    jcirc => "\x{135}", jcy => "\x{439}", jfr => "\x{1D527}", jmath => "\x{237}",
+                    jopf => "\x{1D55B}", jscr => "\x{1D4BF}", jsercy => "\x{458}", jukcy => "\x{454}",
+                    kappa => "\x{3BA}", kappav => "\x{3F0}", kcedil => "\x{137}", kcy => "\x{43A}",
+                    kfr => "\x{1D528}", kgreen => "\x{138}", khcy => "\x{445}", kjcy => "\x{45C}",
+                    kopf => "\x{1D55C}", kscr => "\x{1D4C0}", lAarr => "\x{21DA}", lArr => "\x{21D0}",
+                    lAtail => "\x{291B}", lBarr => "\x{290E}", lE => "\x{2266}", lEg => "\x{2A8B}",
+                    lHar => "\x{2962}", lacute => "\x{13A}", laemptyv => "\x{29B4}", lagran => "\x{2112}",
+                    lambda => "\x{3BB}", lang => "\x{27E8}", langd => "\x{2991}", langle => "\x{27E8}",
+                    lap => "\x{2A85}", laquo => "\x{AB}", larr => "\x{2190}", larrb => "\x{21E4}",
+                    larrbfs => "\x{291F}", larrfs => "\x{291D}", larrhk => "\x{21A9}", larrlp => "\x{21AB}",
+                    larrpl => "\x{2939}", larrsim => "\x{2973}", larrtl => "\x{21A2}", lat => "\x{2AAB}",
+                    latail => "\x{2919}", late => "\x{2AAD}", lates => "\x{2AAD}\x{FE00}",
+                    lbarr => "\x{290C}", lbbrk => "\x{2772}", lbrace => "\x{7B}", lbrack => "\x{5B}",
+                    lbrke => "\x{298B}", lbrksld => "\x{298F}", lbrkslu => "\x{298D}", lcaron => "\x{13E}",
+                    lcedil => "\x{13C}", lceil => "\x{2308}", lcub => "\x{7B}", lcy => "\x{43B}",
+                    ldca => "\x{2936}", ldquo => "\x{201C}", ldquor => "\x{201E}", ldrdhar => "\x{2967}",
+                    ldrushar => "\x{294B}", ldsh => "\x{21B2}", le => "\x{2264}", leftarrow => "\x{2190}",
+                    leftarrowtail => "\x{21A2}", leftharpoondown => "\x{21BD}", leftharpoonup => "\x{21BC}",
+                    leftleftarrows => "\x{21C7}", leftrightarrow => "\x{2194}", leftrightarrows => "\x{21C6}",
+                    leftrightharpoons => "\x{21CB}", leftrightsquigarrow => "\x{21AD}",
+                    leftthreetimes => "\x{22CB}", leg => "\x{22DA}", leq => "\x{2264}", leqq => "\x{2266}",
+                    leqslant => "\x{2A7D}", les => "\x{2A7D}", lescc => "\x{2AA8}", lesdot => "\x{2A7F}",
+                    lesdoto => "\x{2A81}", lesdotor => "\x{2A83}", lesg => "\x{22DA}\x{FE00}",
+                    lesges => "\x{2A93}", lessapprox => "\x{2A85}", lessdot => "\x{22D6}",
+                    lesseqgtr => "\x{22DA}", lesseqqgtr => "\x{2A8B}", lessgtr => "\x{2276}",
+                    lesssim => "\x{2272}", lfisht => "\x{297C}", lfloor => "\x{230A}", lfr => "\x{1D529}",
+                    lg => "\x{2276}", lgE => "\x{2A91}", lhard => "\x{21BD}", lharu => "\x{21BC}",
+                    lharul => "\x{296A}", lhblk => "\x{2584}", ljcy => "\x{459}", ll => "\x{226A}",
+                    llarr => "\x{21C7}", llcorner => "\x{231E}", llhard => "\x{296B}", lltri => "\x{25FA}",
+                    lmidot => "\x{140}", lmoust => "\x{23B0}", lmoustache => "\x{23B0}", lnE => "\x{2268}",
+                    lnap => "\x{2A89}", lnapprox => "\x{2A89}", lne => "\x{2A87}", lneq => "\x{2A87}",
+                    lneqq => "\x{2268}", lnsim => "\x{22E6}", loang => "\x{27EC}", loarr => "\x{21FD}",
+                    lobrk => "\x{27E6}", longleftarrow => "\x{27F5}", longleftrightarrow => "\x{27F7}",
+                    longmapsto => "\x{27FC}", longrightarrow => "\x{27F6}", looparrowleft => "\x{21AB}",
+                    looparrowright => "\x{21AC}", lopar => "\x{2985}", lopf => "\x{1D55D}",
+                    loplus => "\x{2A2D}", lotimes => "\x{2A34}", lowast => "\x{2217}", lowbar => "\x{5F}",
+                    loz => "\x{25CA}", lozenge => "\x{25CA}", lozf => "\x{29EB}", lpar => "\x{28}",
+                    lparlt => "\x{2993}", lrarr => "\x{21C6}", lrcorner => "\x{231F}", lrhar => "\x{21CB}",
+                    lrhard => "\x{296D}", lrm => "\x{200E}", lrtri => "\x{22BF}", lsaquo => "\x{2039}",
+                    lscr => "\x{1D4C1}", lsh => "\x{21B0}", lsim => "\x{2272}", lsime => "\x{2A8D}",
+                    lsimg => "\x{2A8F}", lsqb => "\x{5B}", lsquo => "\x{2018}", lsquor => "\x{201A}",
+                    lstrok => "\x{142}", lt => "\x{3C}", ltcc => "\x{2AA6}", ltcir => "\x{2A79}",
+                    ltdot => "\x{22D6}", lthree => "\x{22CB}", ltimes => "\x{22C9}", ltlarr => "\x{2976}",
+                    ltquest => "\x{2A7B}", ltrPar => "\x{2996}", ltri => "\x{25C3}", ltrie => "\x{22B4}",
+                    ltrif => "\x{25C2}", lurdshar => "\x{294A}", luruhar => "\x{2966}",
+                    lvertneqq => "\x{2268}\x{FE00}", lvnE => "\x{2268}\x{FE00}", mDDot => "\x{223A}",
+                    macr => "\x{AF}", male => "\x{2642}", malt => "\x{2720}", maltese => "\x{2720}",
+                    map => "\x{21A6}", mapsto => "\x{21A6}", mapstodown => "\x{21A7}",
+                    mapstoleft => "\x{21A4}", mapstoup => "\x{21A5}", marker => "\x{25AE}",
+                    mcomma => "\x{2A29}", mcy => "\x{43C}", mdash => "\x{2014}", measuredangle => "\x{2221}",
+                    mfr => "\x{1D52A}", mho => "\x{2127}", micro => "\x{B5}", mid => "\x{2223}",
+                    midast => "\x{2A}", midcir => "\x{2AF0}", middot => "\x{B7}", minus => "\x{2212}",
+                    minusb => "\x{229F}", minusd => "\x{2238}", minusdu => "\x{2A2A}", mlcp => "\x{2ADB}",
+                    mldr => "\x{2026}", mnplus => "\x{2213}", models => "\x{22A7}", mopf => "\x{1D55E}",
+                    mp => "\x{2213}", mscr => "\x{1D4C2}", mstpos => "\x{223E}", mu => "\x{3BC}",
+                    multimap => "\x{22B8}", mumap => "\x{22B8}", nGg => "\x{22D9}\x{338}",
+                    nGt => "\x{226B}\x{20D2}", nGtv => "\x{226B}\x{338}", nLeftarrow => "\x{21CD}",
+                    nLeftrightarrow => "\x{21CE}", nLl => "\x{22D8}\x{338}", nLt => "\x{226A}\x{20D2}",
+                    nLtv => "\x{226A}\x{338}", nRightarrow => "\x{21CF}", nVDash => "\x{22AF}",
+                    nVdash => "\x{22AE}", nabla => "\x{2207}", nacute => "\x{144}",
+                    nang => "\x{2220}\x{20D2}", nap => "\x{2249}", napE => "\x{2A70}\x{338}",
+                    napid => "\x{224B}\x{338}", napos => "\x{149}", napprox => "\x{2249}",
+                    natur => "\x{266E}", natural => "\x{266E}", naturals => "\x{2115}", nbsp => "\x{A0}",
+                    nbump => "\x{224E}\x{338}", nbumpe => "\x{224F}\x{338}", ncap => "\x{2A43}",
+                    ncaron => "\x{148}", ncedil => "\x{146}", ncong => "\x{2247}",
+                    ncongdot => "\x{2A6D}\x{338}", ncup => "\x{2A42}", ncy => "\x{43D}", ndash => "\x{2013}",
+                    ne => "\x{2260}", neArr => "\x{21D7}", nearhk => "\x{2924}", nearr => "\x{2197}",
+                    nearrow => "\x{2197}", nedot => "\x{2250}\x{338}", nequiv => "\x{2262}",
+                    nesear => "\x{2928}", nesim => "\x{2242}\x{338}", nexist => "\x{2204}",
+                    nexists => "\x{2204}", nfr => "\x{1D52B}", ngE => "\x{2267}\x{338}", nge => "\x{2271}",
+                    ngeq => "\x{2271}", ngeqq => "\x{2267}\x{338}", ngeqslant => "\x{2A7E}\x{338}",
+                    nges => "\x{2A7E}\x{338}", ngsim => "\x{2275}", ngt => "\x{226F}", ngtr => "\x{226F}",
+                    nhArr => "\x{21CE}", nharr => "\x{21AE}", nhpar => "\x{2AF2}", ni => "\x{220B}",
+                    nis => "\x{22FC}", nisd => "\x{22FA}", niv => "\x{220B}", njcy => "\x{45A}",
+                    nlArr => "\x{21CD}", nlE => "\x{2266}\x{338}", nlarr => "\x{219A}", nldr => "\x{2025}",
+                    nle => "\x{2270}", nleftarrow => "\x{219A}", nleftrightarrow => "\x{21AE}",
+                    nleq => "\x{2270}", nleqq => "\x{2266}\x{338}", nleqslant => "\x{2A7D}\x{338}",
+                    nles => "\x{2A7D}\x{338}", nless => "\x{226E}", nlsim => "\x{2274}", nlt => "\x{226E}",
+                    nltri => "\x{22EA}", nltrie => "\x{22EC}", nmid => "\x{2224}", nopf => "\x{1D55F}",
+                    not => "\x{AC}", notin => "\x{2209}", notinE => "\x{22F9}\x{338}",
+                    notindot => "\x{22F5}\x{338}", notinva => "\x{2209}", notinvb => "\x{22F7}",
+                    notinvc => "\x{22F6}", notni => "\x{220C}", notniva => "\x{220C}", notnivb => "\x{22FE}",
+                    notnivc => "\x{22FD}", npar => "\x{2226}", nparallel => "\x{2226}",
+                    nparsl => "\x{2AFD}\x{20E5}", npart => "\x{2202}\x{338}", npolint => "\x{2A14}",
+                    npr => "\x{2280}", nprcue => "\x{22E0}", npre => "\x{2AAF}\x{338}", nprec => "\x{2280}",
+                    npreceq => "\x{2AAF}\x{338}", nrArr => "\x{21CF}", nrarr => "\x{219B}",
+                    nrarrc => "\x{2933}\x{338}", nrarrw => "\x{219D}\x{338}", nrightarrow => "\x{219B}",
+                    nrtri => "\x{22EB}", nrtrie => "\x{22ED}", nsc => "\x{2281}", nsccue => "\x{22E1}",
+                    nsce => "\x{2AB0}\x{338}", nscr => "\x{1D4C3}", nshortmid => "\x{2224}",
+                    nshortparallel => "\x{2226}", nsim => "\x{2241}", nsime => "\x{2244}",
+                    nsimeq => "\x{2244}", nsmid => "\x{2224}", nspar => "\x{2226}", nsqsube => "\x{22E2}",
+                    nsqsupe => "\x{22E3}", nsub => "\x{2284}", nsubE => "\x{2AC5}\x{338}",
+                    nsube => "\x{2288}", nsubset => "\x{2282}\x{20D2}", nsubseteq => "\x{2288}",
+                    nsubseteqq => "\x{2AC5}\x{338}", nsucc => "\x{2281}", nsucceq => "\x{2AB0}\x{338}",
+                    nsup => "\x{2285}", nsupE => "\x{2AC6}\x{338}", nsupe => "\x{2289}",
+                    nsupset => "\x{2283}\x{20D2}", nsupseteq => "\x{2289}", nsupseteqq => "\x{2AC6}\x{338}",
+                    ntgl => "\x{2279}", ntilde => "\x{F1}", ntlg => "\x{2278}", ntriangleleft => "\x{22EA}",
+                    ntrianglelefteq => "\x{22EC}", ntriangleright => "\x{22EB}",
+                    ntrianglerighteq => "\x{22ED}", nu => "\x{3BD}", num => "\x{23}", numero => "\x{2116}",
+                    numsp => "\x{2007}", nvDash => "\x{22AD}", nvHarr => "\x{2904}",
+                    nvap => "\x{224D}\x{20D2}", nvdash => "\x{22AC}", nvge => "\x{2265}\x{20D2}",
+                    nvgt => "\x{3E}\x{20D2}", nvinfin => "\x{29DE}", nvlArr => "\x{2902}",
+                    nvle => "\x{2264}\x{20D2}", nvlt => "\x{3C}\x{20D2}", nvltrie => "\x{22B4}\x{20D2}",
+                    nvrArr => "\x{2903}", nvrtrie => "\x{22B5}\x{20D2}", nvsim => "\x{223C}\x{20D2}",
+                    nwArr => "\x{21D6}", nwarhk => "\x{2923}", nwarr => "\x{2196}", nwarrow => "\x{2196}",
+                    nwnear => "\x{2927}", oS => "\x{24C8}", oacute => "\x{F3}", oast => "\x{229B}",
+                    ocir => "\x{229A}", ocirc => "\x{F4}", ocy => "\x{43E}", odash => "\x{229D}",
+                    odblac => "\x{151}", odiv => "\x{2A38}", odot => "\x{2299}", odsold => "\x{29BC}",
+                    oelig => "\x{153}", ofcir => "\x{29BF}", ofr => "\x{1D52C}", ogon => "\x{2DB}",
+                    ograve => "\x{F2}", ogt => "\x{29C1}", ohbar => "\x{29B5}", ohm => "\x{3A9}",
+                    oint => "\x{222E}", olarr => "\x{21BA}", olcir => "\x{29BE}", olcross => "\x{29BB}",
+                    oline => "\x{203E}", olt => "\x{29C0}", omacr => "\x{14D}", omega => "\x{3C9}",
+                    omicron => "\x{3BF}", omid => "\x{29B6}", ominus => "\x{2296}", oopf => "\x{1D560}",
+                    opar => "\x{29B7}", operp => "\x{29B9}", oplus => "\x{2295}", or => "\x{2228}",
+                    orarr => "\x{21BB}", ord => "\x{2A5D}", order => "\x{2134}", orderof => "\x{2134}",
+                    ordf => "\x{AA}", ordm => "\x{BA}", origof => "\x{22B6}", oror => "\x{2A56}",
+                    orslope => "\x{2A57}", orv => "\x{2A5B}", oscr => "\x{2134}", oslash => "\x{F8}",
+                    osol => "\x{2298}", otilde => "\x{F5}", otimes => "\x{2297}", otimesas => "\x{2A36}",
+                    ouml => "\x{F6}", ovbar => "\x{233D}", par => "\x{2225}", para => "\x{B6}",
+                    parallel => "\x{2225}", parsim => "\x{2AF3}", parsl => "\x{2AFD}", part => "\x{2202}",
+                    pcy => "\x{43F}", percnt => "\x{25}", period => "\x{2E}", permil => "\x{2030}",
+                    perp => "\x{22A5}", pertenk => "\x{2031}", pfr => "\x{1D52D}", phi => "\x{3C6}",
+                    phiv => "\x{3D5}", phmmat => "\x{2133}", phone => "\x{260E}", pi => "\x{3C0}",
+                    pitchfork => "\x{22D4}", piv => "\x{3D6}", planck => "\x{210F}", planckh => "\x{210E}",
+                    plankv => "\x{210F}", plus => "\x{2B}", plusacir => "\x{2A23}", plusb => "\x{229E}",
+                    pluscir => "\x{2A22}", plusdo => "\x{2214}", plusdu => "\x{2A25}", pluse => "\x{2A72}",
+                    plusmn => "\x{B1}", plussim => "\x{2A26}", plustwo => "\x{2A27}", pm => "\x{B1}",
+                    pointint => "\x{2A15}", popf => "\x{1D561}", pound => "\x{A3}", pr => "\x{227A}",
+                    prE => "\x{2AB3}", prap => "\x{2AB7}", prcue => "\x{227C}", pre => "\x{2AAF}",
+                    prec => "\x{227A}", precapprox => "\x{2AB7}", preccurlyeq => "\x{227C}",
+                    preceq => "\x{2AAF}", precnapprox => "\x{2AB9}", precneqq => "\x{2AB5}",
+                    precnsim => "\x{22E8}", precsim => "\x{227E}", prime => "\x{2032}", primes => "\x{2119}",
+                    prnE => "\x{2AB5}", prnap => "\x{2AB9}", prnsim => "\x{22E8}", prod => "\x{220F}",
+                    profalar => "\x{232E}", profline => "\x{2312}", profsurf => "\x{2313}",
+                    prop => "\x{221D}", propto => "\x{221D}", prsim => "\x{227E}", prurel => "\x{22B0}",
+                    pscr => "\x{1D4C5}", psi => "\x{3C8}", puncsp => "\x{2008}", qfr => "\x{1D52E}",
+                    qint => "\x{2A0C}", qopf => "\x{1D562}", qprime => "\x{2057}", qscr => "\x{1D4C6}",
+                    quaternions => "\x{210D}", quatint => "\x{2A16}", quest => "\x{3F}",
+                    questeq => "\x{225F}", quot => "\x{22}", rAarr => "\x{21DB}", rArr => "\x{21D2}",
+                    rAtail => "\x{291C}", rBarr => "\x{290F}", rHar => "\x{2964}", race => "\x{223D}\x{331}",
+                    racute => "\x{155}", radic => "\x{221A}", raemptyv => "\x{29B3}", rang => "\x{27E9}",
+                    rangd => "\x{2992}", range => "\x{29A5}", rangle => "\x{27E9}", raquo => "\x{BB}",
+                    rarr => "\x{2192}", rarrap => "\x{2975}", rarrb => "\x{21E5}", rarrbfs => "\x{2920}",
+                    rarrc => "\x{2933}", rarrfs => "\x{291E}", rarrhk => "\x{21AA}", rarrlp => "\x{21AC}",
+                    rarrpl => "\x{2945}", rarrsim => "\x{2974}", rarrtl => "\x{21A3}", rarrw => "\x{219D}",
+                    ratail => "\x{291A}", ratio => "\x{2236}", rationals => "\x{211A}", rbarr => "\x{290D}",
+                    rbbrk => "\x{2773}", rbrace => "\x{7D}", rbrack => "\x{5D}", rbrke => "\x{298C}",
+                    rbrksld => "\x{298E}", rbrkslu => "\x{2990}", rcaron => "\x{159}", rcedil => "\x{157}",
+                    rceil => "\x{2309}", rcub => "\x{7D}", rcy => "\x{440}", rdca => "\x{2937}",
+                    rdldhar => "\x{2969}", rdquo => "\x{201D}", rdquor => "\x{201D}", rdsh => "\x{21B3}",
+                    real => "\x{211C}", realine => "\x{211B}", realpart => "\x{211C}", reals => "\x{211D}",
+                    rect => "\x{25AD}", reg => "\x{AE}", rfisht => "\x{297D}", rfloor => "\x{230B}",
+                    rfr => "\x{1D52F}", rhard => "\x{21C1}", rharu => "\x{21C0}", rharul => "\x{296C}",
+                    rho => "\x{3C1}", rhov => "\x{3F1}", rightarrow => "\x{2192}",
+                    rightarrowtail => "\x{21A3}", rightharpoondown => "\x{21C1}",
+                    rightharpoonup => "\x{21C0}", rightleftarrows => "\x{21C4}",
+                    rightleftharpoons => "\x{21CC}", rightrightarrows => "\x{21C9}",
+                    rightsquigarrow => "\x{219D}", rightthreetimes => "\x{22CC}", ring => "\x{2DA}",
+                    risingdotseq => "\x{2253}", rlarr => "\x{21C4}", rlhar => "\x{21CC}", rlm => "\x{200F}",
+                    rmoust => "\x{23B1}", rmoustache => "\x{23B1}", rnmid => "\x{2AEE}", roang => "\x{27ED}",
+                    roarr => "\x{21FE}", robrk => "\x{27E7}", ropar => "\x{2986}", ropf => "\x{1D563}",
+                    roplus => "\x{2A2E}", rotimes => "\x{2A35}", rpar => "\x{29}", rpargt => "\x{2994}",
+                    rppolint => "\x{2A12}", rrarr => "\x{21C9}", rsaquo => "\x{203A}", rscr => "\x{1D4C7}",
+                    rsh => "\x{21B1}", rsqb => "\x{5D}", rsquo => "\x{2019}", rsquor => "\x{2019}",
+                    rthree => "\x{22CC}", rtimes => "\x{22CA}", rtri => "\x{25B9}", rtrie => "\x{22B5}",
+                    rtrif => "\x{25B8}", rtriltri => "\x{29CE}", ruluhar => "\x{2968}", rx => "\x{211E}",
+                    sacute => "\x{15B}", sbquo => "\x{201A}", sc => "\x{227B}", scE => "\x{2AB4}",
+                    scap => "\x{2AB8}", scaron => "\x{161}", sccue => "\x{227D}", sce => "\x{2AB0}",
+                    scedil => "\x{15F}", scirc => "\x{15D}", scnE => "\x{2AB6}", scnap => "\x{2ABA}",
+                    scnsim => "\x{22E9}", scpolint => "\x{2A13}", scsim => "\x{227F}", scy => "\x{441}",
+                    sdot => "\x{22C5}", sdotb => "\x{22A1}", sdote => "\x{2A66}", seArr => "\x{21D8}",
+                    searhk => "\x{2925}", searr => "\x{2198}", searrow => "\x{2198}", sect => "\x{A7}",
+                    semi => "\x{3B}", seswar => "\x{2929}", setminus => "\x{2216}", setmn => "\x{2216}",
+                    sext => "\x{2736}", sfr => "\x{1D530}", sfrown => "\x{2322}", sharp => "\x{266F}",
+                    shchcy => "\x{449}", shcy => "\x{448}", shortmid => "\x{2223}",
+                    shortparallel => "\x{2225}", shy => "\x{AD}", sigma => "\x{3C3}", sigmaf => "\x{3C2}",
+                    sigmav => "\x{3C2}", sim => "\x{223C}", simdot => "\x{2A6A}", sime => "\x{2243}",
+                    simeq => "\x{2243}", simg => "\x{2A9E}", simgE => "\x{2AA0}", siml => "\x{2A9D}",
+                    simlE => "\x{2A9F}", simne => "\x{2246}", simplus => "\x{2A24}", simrarr => "\x{2972}",
+                    slarr => "\x{2190}", smallsetminus => "\x{2216}", smashp => "\x{2A33}",
+                    smeparsl => "\x{29E4}", smid => "\x{2223}", smile => "\x{2323}", smt => "\x{2AAA}",
+                    smte => "\x{2AAC}", smtes => "\x{2AAC}\x{FE00}", softcy => "\x{44C}", sol => "\x{2F}",
+                    solb => "\x{29C4}", solbar => "\x{233F}", sopf => "\x{1D564}", spades => "\x{2660}",
+                    spadesuit => "\x{2660}", spar => "\x{2225}", sqcap => "\x{2293}",
+                    sqcaps => "\x{2293}\x{FE00}", sqcup => "\x{2294}", sqcups => "\x{2294}\x{FE00}",
+                    sqsub => "\x{228F}", sqsube => "\x{2291}", sqsubset => "\x{228F}",
+                    sqsubseteq => "\x{2291}", sqsup => "\x{2290}", sqsupe => "\x{2292}",
+                    sqsupset => "\x{2290}", sqsupseteq => "\x{2292}", squ => "\x{25A1}", square => "\x{25A1}",
+                    squarf => "\x{25AA}", squf => "\x{25AA}", srarr => "\x{2192}", sscr => "\x{1D4C8}",
+                    ssetmn => "\x{2216}", ssmile => "\x{2323}", sstarf => "\x{22C6}", star => "\x{2606}",
+                    starf => "\x{2605}", straightepsilon => "\x{3F5}", straightphi => "\x{3D5}",
+                    strns => "\x{AF}", sub => "\x{2282}", subE => "\x{2AC5}", subdot => "\x{2ABD}",
+                    sube => "\x{2286}", subedot => "\x{2AC3}", submult => "\x{2AC1}", subnE => "\x{2ACB}",
+                    subne => "\x{228A}", subplus => "\x{2ABF}", subrarr => "\x{2979}", subset => "\x{2282}",
+                    subseteq => "\x{2286}", subseteqq => "\x{2AC5}", subsetneq => "\x{228A}",
+                    subsetneqq => "\x{2ACB}", subsim => "\x{2AC7}", subsub => "\x{2AD5}",
+                    subsup => "\x{2AD3}", succ => "\x{227B}", succapprox => "\x{2AB8}",
+                    succcurlyeq => "\x{227D}", succeq => "\x{2AB0}", succnapprox => "\x{2ABA}",
+                    succneqq => "\x{2AB6}", succnsim => "\x{22E9}", succsim => "\x{227F}", sum => "\x{2211}",
+                    sung => "\x{266A}", sup => "\x{2283}", sup1 => "\x{B9}", sup2 => "\x{B2}",
+                    sup3 => "\x{B3}", supE => "\x{2AC6}", supdot => "\x{2ABE}", supdsub => "\x{2AD8}",
+                    supe => "\x{2287}", supedot => "\x{2AC4}", suphsol => "\x{27C9}", suphsub => "\x{2AD7}",
+                    suplarr => "\x{297B}", supmult => "\x{2AC2}", supnE => "\x{2ACC}", supne => "\x{228B}",
+                    supplus => "\x{2AC0}", supset => "\x{2283}", supseteq => "\x{2287}",
+                    supseteqq => "\x{2AC6}", supsetneq => "\x{228B}", supsetneqq => "\x{2ACC}",
+                    supsim => "\x{2AC8}", supsub => "\x{2AD4}", supsup => "\x{2AD6}", swArr => "\x{21D9}",
+                    swarhk => "\x{2926}", swarr => "\x{2199}", swarrow => "\x{2199}", swnwar => "\x{292A}",
+                    szlig => "\x{DF}", target => "\x{2316}", tau => "\x{3C4}", tbrk => "\x{23B4}",
+                    tcaron => "\x{165}", tcedil => "\x{163}", tcy => "\x{442}", tdot => "\x{20DB}",
+                    telrec => "\x{2315}", tfr => "\x{1D531}", there4 => "\x{2234}", therefore => "\x{2234}",
+                    theta => "\x{3B8}", thetasym => "\x{3D1}", thetav => "\x{3D1}", thickapprox => "\x{2248}",
+                    thicksim => "\x{223C}", thinsp => "\x{2009}", thkap => "\x{2248}", thksim => "\x{223C}",
+                    thorn => "\x{FE}", tilde => "\x{2DC}", times => "\x{D7}", timesb => "\x{22A0}",
+                    timesbar => "\x{2A31}", timesd => "\x{2A30}", tint => "\x{222D}", toea => "\x{2928}",
+                    top => "\x{22A4}", topbot => "\x{2336}", topcir => "\x{2AF1}", topf => "\x{1D565}",
+                    topfork => "\x{2ADA}", tosa => "\x{2929}", tprime => "\x{2034}", trade => "\x{2122}",
+                    triangle => "\x{25B5}", triangledown => "\x{25BF}", triangleleft => "\x{25C3}",
+                    trianglelefteq => "\x{22B4}", triangleq => "\x{225C}", triangleright => "\x{25B9}",
+                    trianglerighteq => "\x{22B5}", tridot => "\x{25EC}", trie => "\x{225C}",
+                    triminus => "\x{2A3A}", triplus => "\x{2A39}", trisb => "\x{29CD}", tritime => "\x{2A3B}",
+                    trpezium => "\x{23E2}", tscr => "\x{1D4C9}", tscy => "\x{446}", tshcy => "\x{45B}",
+                    tstrok => "\x{167}", twixt => "\x{226C}", twoheadleftarrow => "\x{219E}",
+                    twoheadrightarrow => "\x{21A0}", uArr => "\x{21D1}", uHar => "\x{2963}",
+                    uacute => "\x{FA}", uarr => "\x{2191}", ubrcy => "\x{45E}", ubreve => "\x{16D}",
+                    ucirc => "\x{FB}", ucy => "\x{443}", udarr => "\x{21C5}", udblac => "\x{171}",
+                    udhar => "\x{296E}", ufisht => "\x{297E}", ufr => "\x{1D532}", ugrave => "\x{F9}",
+                    uharl => "\x{21BF}", uharr => "\x{21BE}", uhblk => "\x{2580}", ulcorn => "\x{231C}",
+                    ulcorner => "\x{231C}", ulcrop => "\x{230F}", ultri => "\x{25F8}", umacr => "\x{16B}",
+                    uml => "\x{A8}", uogon => "\x{173}", uopf => "\x{1D566}", uparrow => "\x{2191}",
+                    updownarrow => "\x{2195}", upharpoonleft => "\x{21BF}", upharpoonright => "\x{21BE}",
+                    uplus => "\x{228E}", upsi => "\x{3C5}", upsih => "\x{3D2}", upsilon => "\x{3C5}",
+                    upuparrows => "\x{21C8}", urcorn => "\x{231D}", urcorner => "\x{231D}",
+                    urcrop => "\x{230E}", uring => "\x{16F}", urtri => "\x{25F9}", uscr => "\x{1D4CA}",
+                    utdot => "\x{22F0}", utilde => "\x{169}", utri => "\x{25B5}", utrif => "\x{25B4}",
+                    uuarr => "\x{21C8}", uuml => "\x{FC}", uwangle => "\x{29A7}", vArr => "\x{21D5}",
+                    vBar => "\x{2AE8}", vBarv => "\x{2AE9}", vDash => "\x{22A8}", vangrt => "\x{299C}",
+                    varepsilon => "\x{3F5}", varkappa => "\x{3F0}", varnothing => "\x{2205}",
+                    varphi => "\x{3D5}", varpi => "\x{3D6}", varpropto => "\x{221D}", varr => "\x{2195}",
+                    varrho => "\x{3F1}", varsigma => "\x{3C2}", varsubsetneq => "\x{228A}\x{FE00}",
+                    varsubsetneqq => "\x{2ACB}\x{FE00}", varsupsetneq => "\x{228B}\x{FE00}",
+                    varsupsetneqq => "\x{2ACC}\x{FE00}", vartheta => "\x{3D1}", vartriangleleft => "\x{22B2}",
+                    vartriangleright => "\x{22B3}", vcy => "\x{432}", vdash => "\x{22A2}", vee => "\x{2228}",
+                    veebar => "\x{22BB}", veeeq => "\x{225A}", vellip => "\x{22EE}", verbar => "\x{7C}",
+                    vert => "\x{7C}", vfr => "\x{1D533}", vltri => "\x{22B2}", vnsub => "\x{2282}\x{20D2}",
+                    vnsup => "\x{2283}\x{20D2}", vopf => "\x{1D567}", vprop => "\x{221D}",
+                    vrtri => "\x{22B3}", vscr => "\x{1D4CB}", vsubnE => "\x{2ACB}\x{FE00}",
+                    vsubne => "\x{228A}\x{FE00}", vsupnE => "\x{2ACC}\x{FE00}", vsupne => "\x{228B}\x{FE00}",
+                    vzigzag => "\x{299A}", wcirc => "\x{175}", wedbar => "\x{2A5F}", wedge => "\x{2227}",
+                    wedgeq => "\x{2259}", weierp => "\x{2118}", wfr => "\x{1D534}", wopf => "\x{1D568}",
+                    wp => "\x{2118}", wr => "\x{2240}", wreath => "\x{2240}", wscr => "\x{1D4CC}",
+                    xcap => "\x{22C2}", xcirc => "\x{25EF}", xcup => "\x{22C3}", xdtri => "\x{25BD}",
+                    xfr => "\x{1D535}", xhArr => "\x{27FA}", xharr => "\x{27F7}", xi => "\x{3BE}",
+                    xlArr => "\x{27F8}", xlarr => "\x{27F5}", xmap => "\x{27FC}", xnis => "\x{22FB}",
+                    xodot => "\x{2A00}", xopf => "\x{1D569}", xoplus => "\x{2A01}", xotime => "\x{2A02}",
+                    xrArr => "\x{27F9}", xrarr => "\x{27F6}", xscr => "\x{1D4CD}", xsqcup => "\x{2A06}",
+                    xuplus => "\x{2A04}", xutri => "\x{25B3}", xvee => "\x{22C1}", xwedge => "\x{22C0}",
+                    yacute => "\x{FD}", yacy => "\x{44F}", ycirc => "\x{177}", ycy => "\x{44B}",
+                    yen => "\x{A5}", yfr => "\x{1D536}", yicy => "\x{457}", yopf => "\x{1D56A}",
+                    yscr => "\x{1D4CE}", yucy => "\x{44E}", yuml => "\x{FF}", zacute => "\x{17A}",
+                    zcaron => "\x{17E}", zcy => "\x{437}", zdot => "\x{17C}", zeetrf => "\x{2128}",
+                    zeta => "\x{3B6}", zfr => "\x{1D537}", zhcy => "\x{436}", zigrarr => "\x{21DD}",
+                    zopf => "\x{1D56B}", zscr => "\x{1D4CF}", zwj => "\x{200D}", zwnj => "\x{200C}",
+                );
+                %legacy = map { $_ => 1 } qw(
+                    AElig AMP Aacute Acirc Agrave Aring Atilde Auml COPY Ccedil ETH Eacute Ecirc Egrave Euml
+                    GT Iacute Icirc Igrave Iuml LT Ntilde Oacute Ocirc Ograve Oslash Otilde Ouml QUOT REG
+                    THORN Uacute Ucirc Ugrave Uuml Yacute aacute acirc acute aelig agrave amp aring atilde
+                    auml brvbar ccedil cedil cent copy curren deg divide eacute ecirc egrave eth euml frac12
+                    frac14 frac34 gt iacute icirc iexcl igrave iquest iuml laquo lt macr micro middot nbsp not
+                    ntilde oacute ocirc ograve ordf ordm oslash otilde ouml para plusmn pound quot raquo reg
+                    sect shy sup1 sup2 sup3 szlig thorn times uacute ucirc ugrave uml uuml yacute yen yuml
+                );
+                %c1 = (
+                    0x80 => 0x20AC, 0x82 => 0x201A, 0x83 => 0x192, 0x84 => 0x201E, 0x85 => 0x2026,
+                    0x86 => 0x2020, 0x87 => 0x2021, 0x88 => 0x2C6, 0x89 => 0x2030, 0x8A => 0x160,
+                    0x8B => 0x2039, 0x8C => 0x152, 0x8E => 0x17D, 0x91 => 0x2018, 0x92 => 0x2019,
+                    0x93 => 0x201C, 0x94 => 0x201D, 0x95 => 0x2022, 0x96 => 0x2013, 0x97 => 0x2014,
+                    0x98 => 0x2DC, 0x99 => 0x2122, 0x9A => 0x161, 0x9B => 0x203A, 0x9C => 0x153,
+                    0x9E => 0x17E, 0x9F => 0x178,
+                );
+                # entities:end
+            }
+            sub named {
+                my ($name, $semi, $next) = @_;
+                return $named{$name} if $semi && exists $named{$name};
+                my $length = length $name < 6 ? length $name : 6;
+                $length-- while $length > 1 && !$legacy{substr $name, 0, $length};
+                my $prefix = substr $name, 0, $length;
+                return "&$name$semi" unless $legacy{$prefix};
+                $next = substr $name, $length, 1 if $length < length $name;
+                return "&$name$semi" if $attribute && $next =~ /[A-Za-z0-9=]/;
+                return $named{$prefix} . substr($name, $length) . $semi;
+            }
+            sub numeric {
+                my $code = shift;
+                $code = $c1{$code} if exists $c1{$code};
+                $code = 0xFFFD if $code == 0 || $code > 0x10FFFF || ($code >= 0xD800 && $code <= 0xDFFF);
+                return chr $code;
+            }
+            s/&(?:#(\d{1,7});?|#[xX]([0-9a-fA-F]{1,6});?|([A-Za-z][A-Za-z0-9]*)(;?))/defined $1 ? numeric($1) : defined $2 ? numeric(hex $2) : named($3, $4, substr $_, $+[0], 1)/ge;
+            $_ = NFC($_);' -- -attribute="$attribute" <<< "$1"
+    else
+        echo "$1" | sed "s/&quot;/\"/g;s/&#39;/'/g;s/&#x27;/'/g;s/&apos;/'/g;s/&lt;/</g;s/&gt;/>/g;s/&amp;/\&/g"
+    fi
+}
+
+# Tidy a page title the way the web app does: decode entities, collapse
+# whitespace and strip known site suffixes. The caller splits off a
+# "Track, by Artist" credit. A second argument is passed on to
+# decode_entities.
+clean_title() {
+    local title
+    title=$(decode_entities "$1" "${2:-}" | tr -s '[:space:]' ' ' | sed 's/^ //;s/ $//')
+    local previous=""
+    while [ "$title" != "$previous" ]; do
+        previous="$title"
+        for suffix in "${TITLE_SUFFIXES[@]}"; do
+            local stripped
+            stripped=$(echo "$title" | sed -E "s/${suffix}//")
+            [ -n "$stripped" ] && title="$stripped"
+        done
+    done
+    echo "$title"
+}
+
+# Make a string safe for use as a filename (or one folder name): no
+# characters Windows or macOS reject, no leading dots, no trailing dots or
+# spaces, no reserved device names and at most 255 bytes, keeping a short
+# extension intact. Mirrors sanitiseFilename in src/worker.js.
 sanitise_filename() {
-    echo "$1" | sed 's/[\/\\:*?"<>|]/_/g' | sed 's/^[. ]*//' | sed 's/[. ]*$//'
+    local name
+    name=$(printf '%s' "$1" | tr '\000-\037\177' '_' | sed 's/[\/\\:*?"<>|]/_/g' | sed 's/^[. ]*//' | sed 's/[. ]*$//')
+    if echo "$name" | grep -qiE '^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$'; then
+        name=$(echo "$name" | sed -E 's/^([^.]+)/\1_/')
+    fi
+    if [ "$(printf '%s' "$name" | wc -c)" -gt "$MAX_FILENAME_BYTES" ]; then
+        local ext=""
+        if [[ "$name" =~ (\.[A-Za-z0-9]{1,5})$ ]]; then
+            ext="${BASH_REMATCH[1]}"
+        fi
+        local base="${name%"$ext"}"
+        while [ "$(printf '%s' "${base}${ext}" | wc -c)" -gt "$MAX_FILENAME_BYTES" ]; do
+            base="${base%?}"
+        done
+        name="$(echo "$base" | sed 's/[. ]*$//')${ext}"
+    fi
+    echo "$name"
+}
+
+# Fill a filename template the way the web app does. "/" in the template
+# makes folders; missing fields leave no stray " - ", "[]" or empty folders.
+render_filename() {
+    local template="$1" title="$2" artist="$3" ext="$4" host="$5" track="$6"
+    [[ "$template" == *"{ext}"* ]] || template="${template}.{ext}"
+
+    local rest="$template" out="" token name width value
+    while [[ "$rest" =~ \{([a-z]+)(:0([0-9]))?\} ]]; do
+        token="${BASH_REMATCH[0]}"
+        name="${BASH_REMATCH[1]}"
+        width="${BASH_REMATCH[3]}"
+        out+="${rest%%"$token"*}"
+        rest="${rest#*"$token"}"
+        case "$name" in
+            title) value="$title" ;;
+            artist) value="$artist" ;;
+            ext) value="$ext" ;;
+            host) value="$host" ;;
+            track) value="$track" ;;
+            *) value="" ;;
+        esac
+        value="${value//\//_}"
+        if [ -n "$width" ] && [ -n "$value" ]; then
+            value=$(printf "%0${width}d" "$((10#$value))")
+        fi
+        out+="$value"
+    done
+    out+="$rest"
+
+    local segments segment path="" sep="([[:space:]]|-|–|—|_|,)"
+    IFS='/' read -ra segments <<< "$out"
+    local last=$(( ${#segments[@]} - 1 ))
+    for i in "${!segments[@]}"; do
+        segment=$(echo "${segments[$i]}" | sed -E "s/\[ *\]|\( *\)|\{ *\}//g;s/[[:space:]]+/ /g;s/^${sep}+//;s/${sep}+\$//;s/${sep}+(\.[^.]*)\$/\2/")
+        if [ "$i" -eq "$last" ] && [[ "$segment" == .* ]]; then
+            segment="${title:-audio}${segment}"
+        fi
+        segment=$(sanitise_filename "$segment")
+        [ -n "$segment" ] && path="${path:+${path}/}${segment}"
+    done
+    echo "$path"
+}
+
+# Print a failure with the same error codes the API uses
+report_error() {
+    echo "  Error ${1}: ${2}"
+}
+
+# Map a curl exit status to an error code
+curl_error_code() {
+    case "$1" in
+        28) echo "ORIGIN_TIMEOUT" ;;
+        47) echo "TOO_MANY_REDIRECTS" ;;
+        63) echo "PAGE_TOO_LARGE" ;;
+        *) echo "ORIGIN_UNREACHABLE" ;;
+    esac
 }
 
 download_one() {
     local url="$1"
     local output_dir="$2"
+    local track="${3:-}"
 
     # Validate URL format
     if [[ ! "$url" =~ ^https?:// ]]; then
-        echo "  Skipping (not a valid URL): $url"
+        report_error INVALID_URL "Skipping (not a valid URL): $url"
         return 1
     fi
 
     echo "Fetching: $url"
 
     # Fetch the page
-    local page
-    page=$(curl -s -L "$url" \
+    local page_file page_info status=0
+    page_file=$(mktemp)
+    page_info=$(curl -s -L "$url" "${CURL_RETRY[@]}" \
         -H 'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' \
-        --max-time 30)
+        --max-time 30 --max-filesize "$MAX_HTML_BYTES" \
+        -o "$page_file" -w '%{http_code} %{content_type}') || status=$?
+    local http_code="${page_info%% *}"
+    local content_type="${page_info#* }"
+    local page=""
+    if [ "$status" -eq 0 ] && [ "$http_code" -lt 400 ] && [[ -z "$content_type" || "$content_type" =~ (html|xml) ]]; then
+        page=$(cat "$page_file")
+    fi
+    rm -f "$page_file"
+
+    if [ "$status" -ne 0 ]; then
+        report_error "$(curl_error_code "$status")" "Could not fetch the page (curl exit ${status})"
+        return 1
+    fi
+    if [ "$http_code" -ge 400 ]; then
+        report_error ORIGIN_HTTP_ERROR "Failed to fetch page: HTTP ${http_code}"
+        return 1
+    fi
+    if [[ -n "$content_type" && ! "$content_type" =~ (html|xml) ]]; then
+        report_error NOT_HTML "This URL is not a web page (${content_type%%;*})"
+        return 1
+    fi
 
     # Try each supported meta tag in order
     local audio_url=""
@@ -104,21 +914,27 @@ download_one() {
     done
 
     if [ -z "$audio_url" ]; then
-        echo "  No og:audio or twitter:player:stream found on this page."
+        report_error NO_AUDIO_TAG "No og:audio or twitter:player:stream found on this page."
         return 1
     fi
 
     # Get the page title for the filename
-    local title=""
+    local title="" title_source=attribute
     title=$(extract_meta "$page" "og:title")
     if [ -z "$title" ]; then
         # Fallback: try <title> tag
-        title=$(echo "$page" | grep -oiE '<title[^>]*>[^<]+</title>' | head -1 | sed 's/<[^>]*>//g')
+        title=$(echo "$page" | grep -oiE '<title[^>]*>[^<]+</title>' | head -1 | sed 's/<[^>]*>//g' || true)
+        title_source=text
     fi
 
-    # Clean up common suffixes that sites append to titles
+    # Clean up entities and the suffixes that sites append to titles
     # e.g. " | Udio", " - SoundCloud", " on Spotify"
-    title=$(echo "$title" | sed -E 's/ [|·–—-] [^|·–—-]+$//')
+    title=$(clean_title "$title" "$title_source")
+    local artist=""
+    if [[ "$title" =~ ^(.+),\ by\ (.+)$ ]]; then
+        title="${BASH_REMATCH[1]}"
+        artist="${BASH_REMATCH[2]}"
+    fi
 
     if [ -z "$title" ]; then
         # Last resort: use hostname + path
@@ -127,9 +943,13 @@ download_one() {
 
     local ext
     ext=$(guess_extension "$audio_url")
+    local host
+    host=$(echo "$url" | sed -E 's|https?://||;s|[/?#:].*||;s|^www\.||')
     local filename
-    filename=$(sanitise_filename "$title")
+    filename=$(render_filename "$TEMPLATE" "$title" "$artist" "$ext" "$host" "$track")
+    filename="${filename%."$ext"}"
     local output_file="${output_dir}/${filename}.${ext}"
+    mkdir -p "$(dirname "$output_file")"
 
     # Avoid overwriting
     if [ -f "$output_file" ]; then
@@ -144,7 +964,17 @@ download_one() {
     echo "  Audio: $audio_url"
     echo "  Saving: $output_file"
 
-    curl -s -L -o "$output_file" "$audio_url" --max-time 120
+    status=0
+    curl -s -L -o "$output_file" "$audio_url" "${CURL_RETRY[@]}" --fail --max-time 120 || status=$?
+    if [ "$status" -ne 0 ]; then
+        rm -f "$output_file"
+        if [ "$status" -eq 22 ]; then
+            report_error ORIGIN_HTTP_ERROR "The audio file could not be downloaded"
+        else
+            report_error "$(curl_error_code "$status")" "The audio download failed (curl exit ${status})"
+        fi
+        return 1
+    fi
 
     # Verify
     local file_size
@@ -160,6 +990,36 @@ download_one() {
 
 # --- Main ---
 
+ARGS=()
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --template)
+            if [ $# -lt 2 ]; then
+                echo "Error: --template requires a value"
+                exit 1
+            fi
+            TEMPLATE="$2"
+            shift 2
+            ;;
+        --template=*)
+            TEMPLATE="${1#*=}"
+            shift
+            ;;
+        *)
+            ARGS+=("$1")
+            shift
+            ;;
+    esac
+done
+set -- ${ARGS[@]+"${ARGS[@]}"}
+
+for field in $(echo "$TEMPLATE" | grep -oE '\{[a-z]+(:0[0-9])?\}' | sed -E 's/[{}]//g;s/:.*//'); do
+    if [[ " $TEMPLATE_FIELDS " != *" $field "* ]]; then
+        echo "Error: Unknown template field {${field}}"
+        exit 1
+    fi
+done
+
 if [ $# -lt 1 ]; then
     usage
     exit 1
@@ -200,7 +1060,7 @@ case "$1" in
             TOTAL=$((TOTAL + 1))
             echo ""
             echo "[$TOTAL] $line"
-            if download_one "$line" "$OUTPUT_DIR"; then
+            if download_one "$line" "$OUTPUT_DIR" "$TOTAL"; then
                 OK=$((OK + 1))
             else
                 FAIL=$((FAIL + 1))
@@ -0,0 +1,65 @@
+/**
+ * Copy the worker's entity tables (src/entities.js) into the perl decoder
+ * in og-audio-dl.sh, between its "entities:begin" and "entities:end"
+ * lines. Run with `npm run entities`; test/entities.test.js fails while
+ * the two disagree.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { NAMED_ENTITIES, LEGACY_ENTITIES, C1_REPLACEMENTS } from '../src/entities.js';
+
+export const CLI_URL = new URL('../og-audio-dl.sh', import.meta.url);
+
+const BLOCK_RE = /^( *)# entities:begin\b.*\n[\s\S]*?^ *# entities:end\n/m;
+
+/** Fill words into lines no wider than 110 columns. */
+function wrap(words, indent) {
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    if (line && indent.length + line.length + 1 + word.length > 110) {
+      lines.push(indent + line);
+      line = word;
+    } else {
+      line = line ? line + ' ' + word : word;
+    }
+  }
+  if (line) lines.push(indent + line);
+  return lines.join('\n');
+}
+
+/** og-audio-dl.sh's source with its entity block regenerated. */
+export function renderCliEntities(script) {
+  const match = BLOCK_RE.exec(script);
+  if (!match) throw new Error('og-audio-dl.sh has no "# entities:begin" block');
+  const indent = match[1];
+  const perlString = value => '"' + [...value].map(ch => `\\x{${ch.codePointAt(0).toString(16).toUpperCase()}}`).join('') + '"';
+  const hex = code => '0x' + Number(code).toString(16).toUpperCase();
+  const named = Object.entries(NAMED_ENTITIES).map(([name, value]) => `${name} => ${perlString(value)},`);
+  const c1 = Object.entries(C1_REPLACEMENTS).map(([from, to]) => `${hex(from)} => ${hex(to)},`);
+  const block = [
+    `${indent}# entities:begin (generated from src/entities.js by \`npm run entities\`)`,
+    `${indent}%named = (`,
+    wrap(named, indent + '    '),
+    `${indent});`,
+    `${indent}%legacy = map { $_ => 1 } qw(`,
+    wrap([...LEGACY_ENTITIES], indent + '    '),
+    `${indent});`,
+    `${indent}%c1 = (`,
+    wrap(c1, indent + '    '),
+    `${indent});`,
+    `${indent}# entities:end`,
+  ].join('\n') + '\n';
+  return script.slice(0, match.index) + block + script.slice(match.index + match[0].length);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const script = readFileSync(CLI_URL, 'utf8');
+  const updated = renderCliEntities(script);
+  if (updated === script) {
+    console.log('og-audio-dl.sh is up to date');
+  } else {
+    writeFileSync(CLI_URL, updated);
+    console.log('Updated the entity table in og-audio-dl.sh');
+  }
+}
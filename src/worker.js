@@ -8,468 +8,3042 @@
  * Endpoints:
  *   GET /           — Serves the frontend UI
  *   GET /api/info?url=<url>  — Returns JSON with extracted audio metadata
+ *                              (&deep=1 also scans the body for <audio> players,
+ *                              &rendition=<id> picks a stream's rendition)
+ *   GET /api/feed?url=<url>  — Returns one result per episode of an RSS/Atom feed
+ *   GET /api/collection?url=<url> — Expands a playlist/album page via its site adapter
+ *   GET /api/adapters        — Lists site adapters and the collection URLs they expand
+ *   GET /api/discover?url=<url>&pattern=<glob|/regex/> — Looks up every same-site
+ *                              page linked from an index page
+ *   /api/keys[/<id>]         — Creates, lists, inspects and revokes API keys (admin)
  */
 
-// --- Rate limiting (per-IP, in-memory) ---
-const RATE_LIMIT_WINDOW = 60_000; // 1 minute
-const RATE_LIMIT_MAX = 15;        // max requests per window
+import { NAMED_ENTITIES, LEGACY_ENTITIES, C1_REPLACEMENTS } from './entities.js';
+
+// --- Errors ---
+// Every API error is { error: { code, message } }, with the HTTP status
+// below. Codes are stable for clients to branch on; messages are for people.
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,     // missing or malformed parameters or body
+  INVALID_URL: 400,
+  BLOCKED_ADDRESS: 400,     // private, loopback or reserved host
+  UNSUPPORTED_URL: 400,     // no adapter or feed handles this URL
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  NO_AUDIO_TAG: 404,        // the page declares no audio
+  EMPTY_COLLECTION: 404,
+  TRACK_UNAVAILABLE: 404,   // one track of a collection can't be streamed
+  METHOD_NOT_ALLOWED: 405,
+  NOT_HTML: 422,
+  PAGE_TOO_LARGE: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  ORIGIN_HTTP_ERROR: 502,   // the origin answered with an error status
+  ORIGIN_UNREACHABLE: 502,
+  TOO_MANY_REDIRECTS: 502,
+  ORIGIN_TIMEOUT: 504,
+};
+
+function codedError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * The { code, message } form of a thrown error. Errors without a known
+ * code are reported as INTERNAL_ERROR.
+ */
+function errorDetails(err) {
+  if (err?.code in ERROR_STATUS) return { code: err.code, message: err.message };
+  return { code: 'INTERNAL_ERROR', message: err?.message || 'Something went wrong' };
+}
+
+function errorResponse(code, message, headers) {
+  return Response.json({ error: { code, message } }, { status: ERROR_STATUS[code], headers });
+}
+
+function failureResponse(err, headers) {
+  const { code, message } = errorDetails(err);
+  if (err?.retryAfter) headers = { ...headers, 'Retry-After': String(err.retryAfter) };
+  return errorResponse(code, message, headers);
+}
+
+// --- Rate limiting (per-IP, Durable Object or in-memory) ---
+// Each IP gets RATE_LIMIT_MAX tokens per window (API keys have their own
+// limit, see below); every request costs its endpoint's tokens. Batch and
+// discovery also spend the batch cost per page looked up from a separate,
+// slower burst allowance, so one request can't fetch 50 pages at the
+// per-minute rate. Override with the RATE_LIMIT_MAX, RATE_LIMIT_WINDOW
+// (seconds), RATE_LIMIT_BURST, RATE_LIMIT_BURST_WINDOW (seconds) and
+// RATE_LIMIT_COSTS (JSON, e.g. {"playlist": 1}) environment variables.
+const RATE_LIMIT_WINDOW = 60;         // seconds
+const RATE_LIMIT_MAX = 15;            // tokens per window
+const RATE_LIMIT_BURST_WINDOW = 600;  // seconds
+const RATE_LIMIT_BURST = 100;         // page tokens per burst window
+const RATE_LIMIT_COSTS = {
+  info: 1,
+  batch: 1,         // plus this per URL from the burst allowance
+  playlist: 3,
+  collection: 3,
+  feed: 3,
+  discover: 1,      // plus the batch cost per link checked
+};
+const RATE_LIMIT_MEMORY_MAX = 1000;
+
+function rateLimitConfig(env) {
+  const positive = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  let costs = env?.RATE_LIMIT_COSTS || {};
+  if (typeof costs === 'string') {
+    try { costs = JSON.parse(costs); } catch { costs = {}; }
+  }
+  return {
+    limit: positive(env?.RATE_LIMIT_MAX, RATE_LIMIT_MAX),
+    window: positive(env?.RATE_LIMIT_WINDOW, RATE_LIMIT_WINDOW),
+    burst: positive(env?.RATE_LIMIT_BURST, RATE_LIMIT_BURST),
+    burstWindow: positive(env?.RATE_LIMIT_BURST_WINDOW, RATE_LIMIT_BURST_WINDOW),
+    costs: { ...RATE_LIMIT_COSTS, ...costs },
+  };
+}
+
+/**
+ * Fixed-window token count shared by the Durable Object and the in-memory
+ * stand-in. Refused requests don't use up tokens.
+ * Returns the updated bucket and { allowed, limit, remaining, reset }, with
+ * reset as a ms timestamp.
+ */
+function takeTokens(bucket, cost, limit, windowSeconds, now = Date.now()) {
+  if (!bucket || now >= bucket.reset) bucket = { reset: now + windowSeconds * 1000, count: 0 };
+  const allowed = bucket.count + cost <= limit;
+  if (allowed) bucket = { ...bucket, count: bucket.count + cost };
+  return { bucket, allowed, limit, remaining: limit - bucket.count, reset: bucket.reset };
+}
+
+/**
+ * One instance per bucket name (see takeRateLimit), so its storage
+ * holds a single bucket. An alarm clears it once the window is over.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { cost, limit, window } = await request.json();
+    const { bucket, ...result } = takeTokens(await this.storage.get('bucket'), cost, limit, window);
+    await this.storage.put('bucket', bucket);
+    await this.storage.setAlarm(bucket.reset);
+    return Response.json(result);
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+// Stand-in for local runs without the RATE_LIMITER binding. Per isolate,
+// so limits reset whenever a new isolate starts.
 const rateLimitMap = new Map();
 
-function checkRateLimit(ip) {
+function takeMemoryTokens(name, cost, limit, window) {
+  const now = Date.now();
+  const { bucket, ...result } = takeTokens(rateLimitMap.get(name), cost, limit, window, now);
+  rateLimitMap.set(name, bucket);
+  if (rateLimitMap.size > RATE_LIMIT_MEMORY_MAX) {
+    for (const [key, value] of rateLimitMap) {
+      if (now >= value.reset) rateLimitMap.delete(key);
+    }
+  }
+  return result;
+}
+
+/**
+ * Spend `cost` tokens from the named bucket ("ip:…", "burst:ip:…" or
+ * "key:…"). Uses the RATE_LIMITER Durable Object when bound and falls back
+ * to the in-memory stand-in if it fails. A cost above the limit is capped
+ * so the largest request is still possible from a full bucket.
+ */
+async function takeRateLimit(env, name, cost, limit, window) {
+  cost = Math.min(cost, limit);
+  if (env?.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(name));
+      const res = await stub.fetch('https://rate-limiter/take', {
+        method: 'POST',
+        body: JSON.stringify({ cost, limit, window }),
+      });
+      if (res.ok) return await res.json();
+    } catch {
+      // fall through to the per-isolate count
+    }
+  }
+  return takeMemoryTokens(name, cost, limit, window);
+}
+
+/**
+ * RateLimit-* response headers (IETF draft). Reset is in seconds from now.
+ */
+function rateLimitHeaders(result) {
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(Math.max(0, result.remaining)),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((result.reset - Date.now()) / 1000))),
+  };
+}
+
+/**
+ * Run a handler behind the rate limit. Requests with an API key spend from
+ * the key's bucket and quotas, others from their IP's bucket. A refused
+ * request gets a 429 with Retry-After; every response gets the
+ * RateLimit-* headers.
+ * The handler is passed spendPages(count), which charges the batch cost
+ * per page once it knows how many it will look up: from the key's own
+ * bucket and quotas, or from the IP's burst allowance. It throws a coded
+ * RATE_LIMITED or QUOTA_EXCEEDED error, with retryAfter, when refused.
+ */
+async function withRateLimit(request, env, ctx, endpoint, handler) {
+  const auth = await authenticateApiKey(request, env);
+  if (auth?.error) {
+    return errorResponse('UNAUTHORIZED', auth.error, { 'WWW-Authenticate': 'Bearer' });
+  }
+  const key = auth?.key;
+  const config = rateLimitConfig(env);
+  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
+  const keyLimit = key && (key.rateLimit || API_KEY_RATE_LIMIT);
+  let spent = config.costs[endpoint] ?? 1;
+
+  if (key) {
+    const quota = quotaExceeded(key, await readUsage(env, key.id), spent);
+    if (quota) {
+      return errorResponse('QUOTA_EXCEEDED', 'The ' + quota.period + ' quota for this API key is used up', {
+        'Retry-After': String(quota.retryAfter),
+      });
+    }
+  }
+  const result = key
+    ? await takeRateLimit(env, 'key:' + key.id, spent, keyLimit, config.window)
+    : await takeRateLimit(env, 'ip:' + ip, spent, config.limit, config.window);
+
+  const headers = rateLimitHeaders(result);
+  if (!result.allowed) {
+    return errorResponse('RATE_LIMITED', 'Too many requests. Please wait a moment and try again.', {
+      ...headers,
+      'Retry-After': headers['RateLimit-Reset'],
+    });
+  }
+
+  const spendPages = async (count) => {
+    const cost = (config.costs.batch ?? 1) * count;
+    if (cost <= 0) return;
+    if (key) {
+      const quota = quotaExceeded(key, await readUsage(env, key.id), spent + cost);
+      if (quota) {
+        throw Object.assign(codedError('QUOTA_EXCEEDED', 'The ' + quota.period + ' quota for this API key is used up'),
+          { retryAfter: quota.retryAfter });
+      }
+    }
+    const pages = key
+      ? await takeRateLimit(env, 'key:' + key.id, cost, keyLimit, config.window)
+      : await takeRateLimit(env, 'burst:ip:' + ip, cost, config.burst, config.burstWindow);
+    if (!pages.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((pages.reset - Date.now()) / 1000));
+      throw Object.assign(codedError('RATE_LIMITED', 'Too many pages looked up. Please wait and try again.'),
+        { retryAfter });
+    }
+    spent += cost;
+  };
+
+  const response = await handler(spendPages);
+  if (key) defer(ctx, recordUsage(env, key.id, spent));
+  for (const [name, value] of Object.entries(headers)) response.headers.set(name, value);
+  return response;
+}
+
+// --- API keys (KV) ---
+// Optional bearer keys for scripts and CI, stored in the API_KEYS KV
+// namespace. Each key has its own per-minute token limit and optional
+// daily and monthly token quotas. Keys are managed through /api/keys,
+// authenticated with the ADMIN_TOKEN secret.
+const API_KEY_RATE_LIMIT = 600;   // tokens per window, unless the key sets one
+const API_KEY_LABEL_MAX = 100;
+const API_KEY_RE = /^oad_([0-9a-f]{16})_[\w-]{32}$/;
+
+function bearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomBase64Url(bytes) {
+  const binary = String.fromCharCode(...crypto.getRandomValues(new Uint8Array(bytes)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Compare two digests without returning early on the first difference
+function digestsEqual(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Look up the request's bearer API key. Keys look like oad_<id>_<secret>;
+ * only a hash of the whole key is stored.
+ * Returns null without an Authorization header, { key } for a valid key
+ * and { error } for a malformed, unknown or revoked one.
+ */
+async function authenticateApiKey(request, env) {
+  const token = bearerToken(request);
+  if (!token) return null;
+  if (!env?.API_KEYS) return { error: 'API keys are not enabled on this server' };
+  const match = API_KEY_RE.exec(token);
+  const key = match && await env.API_KEYS.get('apikey:' + match[1], 'json');
+  if (!key || !digestsEqual(key.hash, await sha256Hex(token))) return { error: 'Invalid API key' };
+  if (key.revokedAt) return { error: 'This API key has been revoked' };
+  return { key };
+}
+
+function usagePeriods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+/**
+ * The key's usage for the current UTC day and month. Counters start over
+ * when the period changes.
+ */
+async function readUsage(env, id) {
+  const { day, month } = usagePeriods();
+  const usage = await env.API_KEYS.get('usage:' + id, 'json') || {};
+  return {
+    day: usage.day?.period === day ? usage.day : { period: day, requests: 0, tokens: 0 },
+    month: usage.month?.period === month ? usage.month : { period: month, requests: 0, tokens: 0 },
+  };
+}
+
+// KV has no atomic increment, so concurrent requests can undercount a little
+async function recordUsage(env, id, cost) {
+  const usage = await readUsage(env, id);
+  for (const period of [usage.day, usage.month]) {
+    period.requests++;
+    period.tokens += cost;
+  }
+  await env.API_KEYS.put('usage:' + id, JSON.stringify(usage));
+}
+
+/**
+ * Whether `cost` more tokens would go over the key's daily or monthly
+ * quota. Returns { period, retryAfter } (seconds until the quota resets,
+ * at UTC midnight or the first of the month) or null.
+ */
+function quotaExceeded(key, usage, cost, now = new Date()) {
+  const y = now.getUTCFullYear(), m = now.getUTCMonth(), d = now.getUTCDate();
+  const checks = [
+    ['monthly', key.monthlyQuota, usage.month.tokens, Date.UTC(y, m + 1, 1)],
+    ['daily', key.dailyQuota, usage.day.tokens, Date.UTC(y, m, d + 1)],
+  ];
+  for (const [period, quota, used, resetAt] of checks) {
+    if (quota != null && used + cost > quota) {
+      return { period, retryAfter: Math.ceil((resetAt - now.getTime()) / 1000) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the fields of a create-key request body.
+ * Returns { label, rateLimit, dailyQuota, monthlyQuota } or { error }.
+ */
+function parseKeySettings(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Body must be a JSON object' };
+  const label = typeof body.label === 'string' ? body.label.trim() : '';
+  if (!label || label.length > API_KEY_LABEL_MAX) {
+    return { error: 'label must be a non-empty string of at most ' + API_KEY_LABEL_MAX + ' characters' };
+  }
+  const settings = { label };
+  for (const field of ['rateLimit', 'dailyQuota', 'monthlyQuota']) {
+    const value = body[field] ?? null;
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { error: field + ' must be a positive integer or null' };
+    }
+    settings[field] = value;
+  }
+  return settings;
+}
+
+// Stored key record minus the hash
+function describeKey({ hash, ...key }, usage) {
+  return { ...key, rateLimit: key.rateLimit || API_KEY_RATE_LIMIT, usage };
+}
+
+// --- Lookup cache (KV, Workers Cache API or in-memory) ---
+// TTLs in seconds; override with the CACHE_TTL, CACHE_STALE_TTL and
+// CACHE_NEGATIVE_TTL environment variables.
+const CACHE_TTL = 5 * 60;         // a result is fresh this long
+const CACHE_STALE_TTL = 60 * 60;  // then served stale while it refreshes
+const CACHE_NEGATIVE_TTL = 60;    // "no audio tag" and origin errors
+const CACHE_KEY_ORIGIN = 'https://cache.og-audio-dl.internal/';
+const MEMORY_CACHE_MAX = 200;
+
+function cacheTtls(env) {
+  const ttl = (name, fallback) => {
+    const value = Number(env?.[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    fresh: ttl('CACHE_TTL', CACHE_TTL),
+    stale: ttl('CACHE_STALE_TTL', CACHE_STALE_TTL),
+    negative: ttl('CACHE_NEGATIVE_TTL', CACHE_NEGATIVE_TTL),
+  };
+}
+
+async function sha256Hex(str) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Per-isolate cache: the first layer in front of KV or the Cache API, and
+// the only one in local runs without either
+const memoryCache = new Map();
+const memoryStore = {
+  async get(key) {
+    const item = memoryCache.get(key);
+    if (item && Date.now() < item.expires) return item.entry;
+    memoryCache.delete(key);
+    return null;
+  },
+  async put(key, entry, ttl) {
+    memoryCache.set(key, { entry, expires: Date.now() + ttl * 1000 });
+    if (memoryCache.size > MEMORY_CACHE_MAX) {
+      const now = Date.now();
+      for (const [k, v] of memoryCache) {
+        if (now >= v.expires || memoryCache.size > MEMORY_CACHE_MAX) memoryCache.delete(k);
+      }
+    }
+  },
+};
+
+// KV keys are capped at 512 bytes, so long URLs are hashed
+function kvStore(kv) {
+  return {
+    async get(key) {
+      return kv.get('cache:' + await sha256Hex(key), 'json');
+    },
+    async put(key, entry, ttl) {
+      await kv.put('cache:' + await sha256Hex(key), JSON.stringify(entry), { expirationTtl: Math.max(60, ttl) });
+    },
+  };
+}
+
+// The Cache API is per data centre, and a no-op on workers.dev hosts
+function cacheApiStore(cache) {
+  const request = (key) => new Request(CACHE_KEY_ORIGIN + encodeURIComponent(key));
+  return {
+    async get(key) {
+      const res = await cache.match(request(key));
+      return res ? res.json() : null;
+    },
+    async put(key, entry, ttl) {
+      await cache.put(request(key), new Response(JSON.stringify(entry), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttl}` },
+      }));
+    },
+  };
+}
+
+// Memory first, then the shared backend. A backend hit is copied into
+// memory until the entry goes stale, so a workers.dev host (where the
+// Cache API holds nothing) still caches within each isolate.
+function layeredStore(backend) {
+  return {
+    async get(key) {
+      const cached = await memoryStore.get(key);
+      if (cached) return cached;
+      const entry = await backend.get(key);
+      const left = entry ? (entry.staleUntil - Date.now()) / 1000 : 0;
+      if (left > 0) await memoryStore.put(key, entry, left);
+      return entry;
+    },
+    async put(key, entry, ttl) {
+      await memoryStore.put(key, entry, ttl);
+      await backend.put(key, entry, ttl);
+    },
+  };
+}
+
+/**
+ * Pick the cache backend: a CACHE_KV namespace when bound, else the
+ * Workers Cache API, either behind the in-memory cache; memory alone when
+ * neither exists.
+ */
+function cacheStore(env) {
+  if (env?.CACHE_KV) return layeredStore(kvStore(env.CACHE_KV));
+  if (typeof caches !== 'undefined' && caches.default) return layeredStore(cacheApiStore(caches.default));
+  return memoryStore;
+}
+
+/**
+ * Hand background work to the runtime so it outlives the response.
+ * Failures there are not the caller's problem.
+ */
+function defer(ctx, promise) {
+  const settled = promise.catch(() => {});
+  if (ctx?.waitUntil) ctx.waitUntil(settled);
+}
+
+/**
+ * extractAudioInfo behind the shared cache. Found audio stays fresh for
+ * the TTL and is then served stale while a background refresh runs;
+ * "no audio tag" (null) and origin errors are remembered briefly so a
+ * broken page isn't fetched on every request. `nocache` skips the read
+ * but still stores the new result.
+ * Returns { info, cacheStatus } with cacheStatus HIT, MISS or STALE;
+ * errors are thrown with their code and the same cacheStatus attached.
+ */
+async function cachedAudioInfo(url, options = {}, { env, ctx, nocache = false } = {}) {
+  const key = ['info', options.deep && 'deep', options.probe && 'probe', options.rendition && 'rendition=' + options.rendition, url]
+    .filter(Boolean).join(':');
+  const store = cacheStore(env);
+  const ttl = cacheTtls(env);
+
+  const load = async () => {
+    let entry;
+    try {
+      const info = await extractAudioInfo(url, options);
+      entry = { data: info, error: null };
+    } catch (err) {
+      entry = { data: null, error: errorDetails(err) };
+    }
+    const fresh = entry.data ? ttl.fresh : ttl.negative;
+    const stale = entry.data ? ttl.stale : 0;
+    entry.freshUntil = Date.now() + fresh * 1000;
+    entry.staleUntil = entry.freshUntil + stale * 1000;
+    if (fresh + stale > 0) defer(ctx, store.put(key, entry, fresh + stale));
+    return entry;
+  };
+
+  let entry = nocache ? null : await store.get(key).catch(() => null);
+  let cacheStatus;
   const now = Date.now();
-  const entry = rateLimitMap.get(ip);
-  if (!entry || now - entry.start > RATE_LIMIT_WINDOW) {
-    rateLimitMap.set(ip, { start: now, count: 1 });
-    return true;
+  if (entry && now < entry.freshUntil) {
+    cacheStatus = 'HIT';
+  } else if (entry && now < entry.staleUntil) {
+    cacheStatus = 'STALE';
+    defer(ctx, load());
+  } else {
+    entry = await load();
+    cacheStatus = 'MISS';
+  }
+
+  if (entry.error) throw Object.assign(codedError(entry.error.code, entry.error.message), { cacheStatus });
+  return { info: entry.data, cacheStatus };
+}
+
+/**
+ * One X-Cache value for a response built from several lookups.
+ */
+function combineCacheStatus(statuses) {
+  if (statuses.includes('MISS') || statuses.length === 0) return 'MISS';
+  return statuses.includes('STALE') ? 'STALE' : 'HIT';
+}
+
+/**
+ * Keep a result's `debug` block, plus this lookup's cache status, only
+ * when the caller asked for it with ?debug=1.
+ */
+function withDebug(info, debug, cacheStatus) {
+  if (!info) return info;
+  const { debug: stats, ...rest } = info;
+  return debug ? { ...rest, debug: { ...stats, cache: cacheStatus } } : rest;
+}
+
+// Tags that declare an audio URL
+const META_TAGS = [
+  'og:audio',
+  'og:audio:url',
+  'og:audio:secure_url',
+  'twitter:player:stream',
+];
+
+const TITLE_TAGS = ['og:title', 'twitter:title'];
+
+// --- HTML head parsing ---
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'title', 'textarea']);
+
+const TAG_NAME_RE = /[a-zA-Z][^\s/>]*/y;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+const rawTextEndCache = new Map();
+
+function rawTextEnd(name) {
+  let re = rawTextEndCache.get(name);
+  if (!re) {
+    re = new RegExp(`</${name}[\\s/>]`, 'ig');
+    rawTextEndCache.set(name, re);
+  }
+  return re;
+}
+
+/**
+ * Tokenise HTML into start tags, end tags and the raw text of
+ * script/style/title elements. Lenient in the same way browsers are:
+ * quoted or unquoted attributes in any order, newlines anywhere inside a
+ * tag, comments and doctypes skipped. Attribute values are entity-decoded.
+ *
+ * With { xml: true } (feeds, manifests) there are no raw-text elements;
+ * instead all text between tags is yielded, and CDATA sections verbatim.
+ */
+function* tokenizeHtml(html, { xml = false } = {}) {
+  const len = html.length;
+  let i = 0;
+  while (i < len) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) return;
+
+    if (xml && lt > i) {
+      const text = html.slice(i, lt);
+      if (text.trim()) yield { type: 'text', name: null, text: decodeHtmlText(text) };
+    }
+    if (xml && html.startsWith('<![CDATA[', lt)) {
+      const end = html.indexOf(']]>', lt + 9);
+      yield { type: 'text', name: null, text: html.slice(lt + 9, end === -1 ? len : end) };
+      i = end === -1 ? len : end + 3;
+      continue;
+    }
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      i = end === -1 ? len : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt + 2);
+      i = end === -1 ? len : end + 1;
+      continue;
+    }
+
+    const closing = html[lt + 1] === '/';
+    TAG_NAME_RE.lastIndex = lt + (closing ? 2 : 1);
+    const nameMatch = TAG_NAME_RE.exec(html);
+    if (!nameMatch) {
+      i = lt + 1;
+      continue;
+    }
+    const name = nameMatch[0].toLowerCase();
+
+    // Attributes up to the closing '>'
+    const attrs = Object.create(null);
+    let selfClosing = false;
+    let j = TAG_NAME_RE.lastIndex;
+    while (j < len && html[j] !== '>') {
+      const ch = html[j];
+      if (ch === '/') {
+        selfClosing = html[j + 1] === '>';
+        j++;
+        continue;
+      }
+      ATTR_RE.lastIndex = j;
+      const m = /\s/.test(ch) ? null : ATTR_RE.exec(html);
+      if (!m) {
+        j++;
+        continue;
+      }
+      j = ATTR_RE.lastIndex;
+      const key = m[1].toLowerCase();
+      if (!(key in attrs)) attrs[key] = decodeHtmlText(m[2] ?? m[3] ?? m[4] ?? '', { attribute: true });
+    }
+    // A tag cut off by the end of the input is dropped, as browsers do
+    if (j >= len) return;
+    i = j + 1;
+
+    if (closing) {
+      yield { type: 'end', name };
+      continue;
+    }
+    yield { type: 'start', name, attrs, selfClosing };
+
+    if (!xml && RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const endRe = rawTextEnd(name);
+      endRe.lastIndex = i;
+      const endMatch = endRe.exec(html);
+      const textEnd = endMatch ? endMatch.index : len;
+      yield { type: 'text', name, text: html.slice(i, textEnd) };
+      if (!endMatch) return;
+      const gt = html.indexOf('>', textEnd);
+      i = gt === -1 ? len : gt + 1;
+      yield { type: 'end', name };
+    }
+  }
+}
+
+/**
+ * Parse the document <head> into one normalised view shared by every
+ * extractor. Meta keys come from property, name or itemprop (lowercased);
+ * values keep document order so repeated tags such as og:audio survive.
+ */
+function parseHead(html) {
+  const head = { meta: new Map(), entries: [], title: null, links: [], base: null };
+
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'end') {
+      if (token.name === 'head') break;
+      continue;
+    }
+    if (token.type === 'text') {
+      if (token.name === 'title' && head.title === null) {
+        head.title = decodeHtmlText(token.text).replace(/\s+/g, ' ').trim() || null;
+      }
+      continue;
+    }
+    if (token.name === 'body') break;
+
+    const a = token.attrs;
+    if (token.name === 'meta') {
+      const value = (a.content ?? '').trim();
+      if (!value) continue;
+      const keys = `${a.property ?? ''} ${a.name ?? ''} ${a.itemprop ?? ''}`.toLowerCase().split(/\s+/).filter(Boolean);
+      for (const key of new Set(keys)) {
+        if (!head.meta.has(key)) head.meta.set(key, []);
+        head.meta.get(key).push(value);
+        head.entries.push([key, value]);
+      }
+    } else if (token.name === 'link' && a.href) {
+      head.links.push({
+        rel: (a.rel ?? '').toLowerCase().trim(),
+        type: (a.type ?? '').toLowerCase().trim() || null,
+        href: a.href.trim(),
+        title: a.title?.trim() || null,
+      });
+    } else if (token.name === 'base' && a.href && head.base === null) {
+      head.base = a.href.trim();
+    }
+  }
+
+  return head;
+}
+
+/**
+ * Get the first value of a meta tag from a parsed head.
+ */
+function extractMeta(head, tag) {
+  return head.meta.get(tag)?.[0] ?? null;
+}
+
+/**
+ * Extract artist from meta description.
+ * Handles formats like:
+ *   "Title by Artist (@handle). ..."  (Suno)
+ *   "Title by Artist on ..."
+ */
+function extractArtist(head) {
+  const desc = extractMeta(head, 'description');
+  if (!desc) return null;
+  const match = desc.match(/\bby\s+([^(@]+?)(?:\s*\(@[^)]+\))?[.\s]+(Listen|on\s)/i);
+  if (match) return match[1].trim() || null;
+  return null;
+}
+
+/**
+ * Collect every audio URL declared in the head, in document order.
+ * og:audio:type and og:audio:secure_url are OGP structured properties and
+ * belong to the og:audio declared most recently before them; likewise
+ * twitter:player:stream:content_type belongs to the preceding stream.
+ */
+function extractAudioCandidates(head) {
+  const candidates = [];
+  const byUrl = new Map();
+  let current = null;
+  let stream = null;
+
+  const add = (url, sourceTag) => {
+    const existing = byUrl.get(url);
+    if (existing) return existing;
+    const candidate = { url, mimeType: null, secureUrl: null, sourceTag };
+    byUrl.set(url, candidate);
+    candidates.push(candidate);
+    return candidate;
+  };
+
+  for (const [key, value] of head.entries) {
+    if (key === 'og:audio:type') {
+      if (current && !current.mimeType) current.mimeType = value.toLowerCase();
+      continue;
+    }
+    if (key === 'twitter:player:stream:content_type') {
+      if (stream && !stream.mimeType) stream.mimeType = value.split(';')[0].trim().toLowerCase();
+      continue;
+    }
+    if (!META_TAGS.includes(key)) continue;
+    if (key === 'og:audio:secure_url' && current && !current.secureUrl) {
+      current.secureUrl = value;
+    } else if (key === 'twitter:player:stream') {
+      stream = add(value, key);
+    } else {
+      current = add(value, key);
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Order candidates best first: HTTPS before plain HTTP, then a declared
+ * audio/* type before an undeclared one before any other type.
+ * Ties keep document order.
+ */
+function rankAudioCandidates(candidates) {
+  const score = (c) => {
+    const https = (c.secureUrl || c.url).startsWith('https:') ? 2 : 0;
+    const type = !c.mimeType ? 0 : c.mimeType.startsWith('audio/') ? 1 : -1;
+    return https + type;
+  };
+  return [...candidates].sort((a, b) => score(b) - score(a));
+}
+
+// --- JSON-LD (schema.org) extraction ---
+
+// Node types that describe a single playable recording
+const LD_RECORDING_TYPES = ['audioobject', 'musicrecording', 'podcastepisode'];
+
+// Properties that nest further recordings (playlists, graphs, item lists)
+const LD_CONTAINER_KEYS = ['@graph', 'track', 'itemListElement', 'item', 'hasPart', 'episode'];
+
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse every <script type="application/ld+json"> block in the document.
+ * Blocks that are not valid JSON are skipped.
+ */
+function extractJsonLdBlocks(html) {
+  const blocks = [];
+  let inJsonLd = false;
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'start' && token.name === 'script') {
+      inJsonLd = /^application\/ld\+json\b/i.test((token.attrs.type ?? '').trim());
+    } else if (token.type === 'text' && token.name === 'script' && inJsonLd) {
+      try {
+        blocks.push(JSON.parse(token.text.trim().replace(/^<!--|-->$/g, '')));
+      } catch {}
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Walk JSON-LD values depth-first, yielding every object node, including
+ * those inside @graph arrays and playlist track lists.
+ */
+function* walkJsonLd(value, depth = 0) {
+  if (depth > 8 || !value || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    for (const item of value) yield* walkJsonLd(item, depth + 1);
+    return;
+  }
+  yield value;
+  for (const key of LD_CONTAINER_KEYS) {
+    if (value[key]) yield* walkJsonLd(value[key], depth + 1);
   }
-  entry.count++;
-  return entry.count <= RATE_LIMIT_MAX;
 }
 
-// --- Response cache (in-memory, 5 min TTL) ---
-const CACHE_TTL = 5 * 60_000;
-const cache = new Map();
+function ldTypes(node) {
+  return asArray(node['@type']).filter(t => typeof t === 'string').map(t => t.toLowerCase());
+}
+
+function ldText(value) {
+  const names = asArray(value)
+    .map(v => (typeof v === 'string' ? v : v?.name))
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => decodeEntities(v));
+  return names.length ? names.join(', ') : null;
+}
+
+function ldImage(value) {
+  for (const v of asArray(value)) {
+    if (typeof v === 'string') return v;
+    const url = v?.url ?? v?.contentUrl;
+    if (typeof url === 'string') return url;
+  }
+  return null;
+}
+
+/**
+ * Find the playable media of a recording node: its own contentUrl or
+ * that of an attached audio / associatedMedia object.
+ */
+function ldMedia(node) {
+  for (const media of [node, ...asArray(node.audio), ...asArray(node.associatedMedia)]) {
+    if (typeof media === 'string') return { url: media, mimeType: null };
+    if (media && typeof media.contentUrl === 'string') {
+      const format = typeof media.encodingFormat === 'string' ? media.encodingFormat.toLowerCase() : '';
+      return { url: media.contentUrl, mimeType: format.includes('/') ? format : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. "PT3M20S") into milliseconds.
+ */
+function parseIsoDuration(value) {
+  if (typeof value !== 'string') return null;
+  const m = value.trim().match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!m || value.trim().length <= 2) return null;
+  const [, d = 0, h = 0, min = 0, sec = 0] = m;
+  return Math.round(((+d * 24 + +h) * 3600 + +min * 60 + +sec) * 1000);
+}
+
+/**
+ * Extract recordings from the page's JSON-LD, in document order.
+ * Each item carries an audio candidate (when it has a contentUrl) and the
+ * metadata fields the response uses.
+ */
+function extractJsonLd(html, pageUrl) {
+  const items = [];
+  for (const block of extractJsonLdBlocks(html)) {
+    for (const node of walkJsonLd(block)) {
+      if (!ldTypes(node).some(t => LD_RECORDING_TYPES.includes(t))) continue;
+
+      const media = ldMedia(node);
+      let candidate = null;
+      if (media) {
+        try {
+          candidate = { url: new URL(media.url, pageUrl).href, mimeType: media.mimeType, secureUrl: null, sourceTag: 'json-ld' };
+        } catch {}
+      }
+
+      const published = typeof node.datePublished === 'string' ? node.datePublished.match(/^\d{4}/) : null;
+      items.push({
+        candidate,
+        title: ldText(node.name),
+        artist: ldText(node.byArtist) ?? ldText(node.author),
+        album: ldText(node.inAlbum),
+        durationMs: parseIsoDuration(node.duration),
+        year: published ? published[0] : null,
+        image: ldImage(node.image) ?? ldImage(node.thumbnailUrl),
+      });
+    }
+  }
+  return items;
+}
+
+// --- Body audio scan (opt-in, ?deep=1) ---
+
+/**
+ * Collect audio embedded in the page body: <audio src>, <source> inside an
+ * <audio> element, and data-src attributes (on those, or on any element
+ * when they point at an audio file). Relative URLs resolve against
+ * <base href>, itself resolved against the page URL.
+ */
+function extractBodyAudio(html, pageUrl, baseHref) {
+  let base = pageUrl;
+  if (baseHref) {
+    try { base = new URL(baseHref, pageUrl).href; } catch {}
+  }
+
+  const candidates = [];
+  const seen = new Set();
+  const add = (src, mimeType) => {
+    let url;
+    try { url = new URL(src.trim(), base); } catch { return; }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return;
+    if (seen.has(url.href)) return;
+    seen.add(url.href);
+    const type = (mimeType ?? '').split(';')[0].trim().toLowerCase() || null;
+    candidates.push({ url: url.href, mimeType: type, secureUrl: null, sourceTag: 'html-audio' });
+  };
+
+  let audioDepth = 0;
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'end') {
+      if (token.name === 'audio' && audioDepth > 0) audioDepth--;
+      continue;
+    }
+    if (token.type !== 'start') continue;
+
+    const a = token.attrs;
+    if (token.name === 'audio') {
+      if (!token.selfClosing) audioDepth++;
+      if (a.src) add(a.src, null);
+      if (a['data-src']) add(a['data-src'], null);
+    } else if (token.name === 'source' && audioDepth > 0) {
+      if (a.src) add(a.src, a.type);
+      if (a['data-src']) add(a['data-src'], a.type);
+    } else if (a['data-src'] && AUDIO_EXTENSIONS.includes(urlExtension(a['data-src']))) {
+      add(a['data-src'], null);
+    }
+  }
+  return candidates;
+}
+
+// --- Suno lyrics extraction ---
+
+function normaliseSunoEscapes(str) {
+  return str
+    .replace(/\\"/g, '"')
+    .replace(/\\u003c/g, '<')
+    .replace(/\\u003e/g, '>')
+    .replace(/\\u0026/g, '&')
+    .replace(/\\n/g, '\n');
+}
+
+function extractSunoFlightChunks(html) {
+  const chunks = [];
+  const re = /self\.__next_f\.push\(\[1,"([\s\S]*?)"\]\)<\/script>/g;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    chunks.push(normaliseSunoEscapes(m[1]));
+  }
+  return chunks;
+}
+
+function looksLikeSunoLyrics(text) {
+  const t = text.trim();
+  if (t.length < 80) return false;
+  if (t.includes('{"')) return false;
+  if (t.includes(':["$')) return false;
+  if (t.includes('"$L')) return false;
+  if (/^[a-z0-9]+:/i.test(t)) return false;
+  const lines = t.split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length < 4) return false;
+  const words = (t.match(/[A-Za-z]{2,}/g) ?? []).length;
+  return words >= 20;
+}
+
+function extractJsonObject(src, start) {
+  if (src[start] !== '{') return null;
+  let depth = 0, inStr = false, esc = false;
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (inStr) {
+      if (esc) { esc = false; continue; }
+      if (ch === '\\') { esc = true; continue; }
+      if (ch === '"') inStr = false;
+      continue;
+    }
+    if (ch === '"') { inStr = true; continue; }
+    if (ch === '{') { depth++; continue; }
+    if (ch === '}') { depth--; if (depth === 0) return src.slice(start, i + 1); }
+  }
+  return null;
+}
+
+function resolveSunoPromptToken(html, token) {
+  if (!/^\$\d+$/.test(token)) return null;
+  const chunks = extractSunoFlightChunks(html);
+  const id = token.slice(1);
+  const ti = chunks.findIndex(c => c.includes(`${id}:T`) || c.includes(`${id}:`));
+  if (ti !== -1) {
+    for (let i = ti + 1; i < Math.min(chunks.length, ti + 8); i++) {
+      if (looksLikeSunoLyrics(chunks[i])) return chunks[i].trim();
+    }
+  }
+  const ci = chunks.findIndex(c => c.includes('"clip":{'));
+  if (ci > 0 && looksLikeSunoLyrics(chunks[ci - 1])) return chunks[ci - 1].trim();
+  const fallback = chunks.find(c => looksLikeSunoLyrics(c));
+  return fallback ? fallback.trim() : null;
+}
+
+const SUNO_TOKEN_RE = /^\$\d+$/;
+const SUNO_INSTRUMENTAL_RE = /^\[instrumental\]$/i;
+
+/**
+ * Link to a Suno clip by id: { id, pageUrl }, or null for a non-id.
+ */
+function sunoClipRef(id) {
+  return typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id) ? { id, pageUrl: 'https://suno.com/song/' + id } : null;
+}
+
+/**
+ * Where a Suno clip came from: the clips it extends (oldest first), the
+ * clip it covers, remixes, upsamples or edits (with the edited section),
+ * and the persona used. Returns null for a plain generation.
+ */
+function extractSunoLineage(clip, meta) {
+  const history = Array.isArray(meta.history) ? meta.history : Array.isArray(meta.concat_history) ? meta.concat_history : [];
+  const extendsClips = history
+    .map(step => {
+      const ref = sunoClipRef(step?.id);
+      return ref && ref.id !== clip.id ? { ...ref, continueAt: typeof step.continue_at === 'number' ? step.continue_at : null } : null;
+    })
+    .filter(Boolean);
+  const start = meta.infill_start_s ?? meta.edit_start_s;
+  const end = meta.infill_end_s ?? meta.edit_end_s;
+  const personaId = clip.persona?.id ?? meta.persona_id ?? null;
+
+  const lineage = {
+    type: meta.type || null,
+    extends: extendsClips,
+    coverOf: sunoClipRef(meta.cover_clip_id),
+    remixOf: sunoClipRef(meta.remix_clip_id ?? meta.remix_parent_id),
+    upsampleOf: sunoClipRef(meta.upsample_clip_id),
+    editedFrom: sunoClipRef(meta.edited_clip_id ?? meta.infill_clip_id),
+    editedSection: typeof start === 'number' && typeof end === 'number' ? { startS: start, endS: end } : null,
+    persona: personaId ? { id: personaId, name: clip.persona?.name || null } : null,
+  };
+  const hasParent = lineage.extends.length || lineage.coverOf || lineage.remixOf || lineage.upsampleOf || lineage.editedFrom || lineage.editedSection || lineage.persona;
+  return hasParent ? lineage : null;
+}
+
+/**
+ * Normalise a Suno clip object, from an embed page or the public API,
+ * into { lyrics, instrumental, styleTags, displayTags, year, durationMs,
+ * model, lineage }. Both paths go through here so a song reads the same
+ * however it was found. `html` is the embed page, used to resolve "$N"
+ * prompt tokens; without it such tokens give no lyrics rather than "$12".
+ */
+function normaliseSunoClip(clip, html = null) {
+  const meta = (clip.metadata && typeof clip.metadata === 'object') ? clip.metadata : {};
+
+  // Resolve lyrics
+  const displayed = (clip.displayed_lyrics || meta.displayed_lyrics || '').trim() || null;
+  const prompt = (meta.prompt || '').trim() || null;
+  let lyrics = null;
+  if (displayed && !SUNO_TOKEN_RE.test(displayed) && !SUNO_INSTRUMENTAL_RE.test(displayed)) {
+    lyrics = displayed.slice(0, 20000);
+  } else if (prompt && !SUNO_INSTRUMENTAL_RE.test(prompt)) {
+    const resolved = SUNO_TOKEN_RE.test(prompt) ? (html ? resolveSunoPromptToken(html, prompt) : null) : prompt;
+    if (resolved && !SUNO_TOKEN_RE.test(resolved)) lyrics = resolved.slice(0, 20000);
+  }
+  const instrumental = meta.make_instrumental === true
+    || SUNO_INSTRUMENTAL_RE.test(displayed ?? '')
+    || (!displayed && SUNO_INSTRUMENTAL_RE.test(prompt ?? ''));
+
+  // Style prompt (full tags string - the creative brief)
+  const styleTags = (meta.tags || '').trim() || null;
+
+  // Display tags (short cleaned genre list)
+  const displayTags = (clip.display_tags || '').trim() || null;
+
+  // Created date (ISO string -> year for ID3 TYER)
+  let year = null;
+  if (clip.created_at) {
+    const d = new Date(clip.created_at);
+    if (!isNaN(d)) year = d.getUTCFullYear().toString();
+  }
+
+  // Duration in ms for ID3 TLEN
+  const durationMs = typeof meta.duration === 'number' ? Math.round(meta.duration * 1000) : null;
+
+  // Model version
+  const model = clip.major_model_version || null;
+
+  const lineage = extractSunoLineage(clip, meta);
+
+  return { lyrics, instrumental, styleTags, displayTags, year, durationMs, model, lineage };
+}
+
+function extractSunoClipMeta(html) {
+  const norm = normaliseSunoEscapes(html);
+  const clipIdx = norm.indexOf('"clip":{');
+  if (clipIdx === -1) return null;
+  const objStart = norm.indexOf('{', clipIdx + '"clip":'.length);
+  if (objStart === -1) return null;
+  const clipJson = extractJsonObject(norm, objStart);
+  if (!clipJson) return null;
+  try {
+    return normaliseSunoClip(JSON.parse(clipJson), html);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch Suno embed page and extract rich metadata for a given song URL.
+ * Returns null for anything but a suno.com/song/<id> page.
+ */
+async function fetchSunoMeta(pageUrl) {
+  try {
+    const u = new URL(pageUrl);
+    const parts = u.pathname.split('/').filter(Boolean);
+    if (parts.length < 2 || parts[0] !== 'song') return null;
+    const id = parts[1];
+    if (!/^[0-9a-fA-F-]{36}$/.test(id)) return null;
+    const res = await safeFetch(`https://suno.com/embed/${id}`, {
+      headers: { 'User-Agent': USER_AGENT },
+    });
+    if (!res.ok) return null;
+    const html = await res.text();
+    return extractSunoClipMeta(html);
+  } catch {
+    return null;
+  }
+}
+
+const AUDIO_EXTENSIONS = ['mp3', 'mp4', 'm4a', 'wav', 'ogg', 'flac', 'aac', 'opus', 'wma', 'webm'];
+
+/**
+ * Get the lowercased extension of a URL's path, ignoring the query string.
+ */
+function urlExtension(url) {
+  const path = url.split(/[?#]/)[0];
+  return path.split('.').pop().toLowerCase();
+}
+
+const MIME_EXTENSIONS = {
+  'audio/mpeg': 'mp3', 'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a', 'audio/x-m4a': 'm4a', 'audio/m4a': 'm4a', 'video/mp4': 'mp4',
+  'audio/aac': 'aac', 'audio/aacp': 'aac',
+  'audio/ogg': 'ogg', 'audio/opus': 'opus',
+  'audio/flac': 'flac', 'audio/x-flac': 'flac',
+  'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/wave': 'wav',
+  'audio/webm': 'webm', 'audio/x-ms-wma': 'wma',
+};
+
+const EXTENSION_MIME_TYPES = {
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', mp4: 'audio/mp4', aac: 'audio/aac', ogg: 'audio/ogg', opus: 'audio/ogg',
+  flac: 'audio/flac', wav: 'audio/wav', webm: 'audio/webm', wma: 'audio/x-ms-wma',
+};
+
+/**
+ * Guess file extension from a known audio MIME type, else the URL.
+ */
+function guessExtension(url, mimeType = null) {
+  const fromType = MIME_EXTENSIONS[mimeType ?? ''];
+  if (fromType) return fromType;
+  const ext = urlExtension(url);
+  return AUDIO_EXTENSIONS.includes(ext) ? ext : 'mp3';
+}
+
+/**
+ * Parse the filename out of a Content-Disposition header.
+ * Prefers the RFC 5987 filename*= form.
+ */
+function dispositionFilename(header) {
+  if (!header) return null;
+  const star = header.match(/filename\*\s*=\s*(?:[\w-]+)?'[^']*'([^;]+)/i);
+  if (star) {
+    try { return decodeURIComponent(star[1].trim().replace(/^"|"$/g, '')); } catch {}
+  }
+  const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+  const name = plain ? (plain[1] ?? plain[2]).trim() : '';
+  return name.split(/[\\/]/).pop() || null;
+}
+
+/**
+ * Probe an audio URL for its real type, size and filename without reading
+ * the audio: a HEAD request, falling back to a one-byte Range request
+ * (whose body is cancelled) for servers that reject HEAD.
+ * Returns { mimeType, sizeBytes, filename } or null.
+ */
+async function probeAudio(url) {
+  const headers = { 'User-Agent': USER_AGENT };
+  try {
+    let res = await safeFetch(url, { method: 'HEAD', headers });
+    let size = parseInt(res.headers.get('content-length') ?? '', 10);
+    if (!res.ok) {
+      res = await safeFetch(url, { headers: { ...headers, 'Range': 'bytes=0-0' } });
+      await res.body?.cancel();
+      if (!res.ok) return null;
+      const total = (res.headers.get('content-range') ?? '').match(/\/(\d+)\s*$/);
+      size = total ? parseInt(total[1], 10) : res.status === 200 ? parseInt(res.headers.get('content-length') ?? '', 10) : NaN;
+    }
+    const type = (res.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+    return {
+      mimeType: type || null,
+      sizeBytes: Number.isFinite(size) && size > 0 ? size : null,
+      filename: dispositionFilename(res.headers.get('content-disposition')),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode HTML character references (named, decimal and hex) in a string
+ * without trimming it. One pass, so "&amp;lt;" stays "&lt;". Unknown names
+ * are left as written. Legacy names also match without a semicolon, as a
+ * prefix ("&copy2024"), except in attribute values where a letter, digit
+ * or "=" follows, so query strings like "?a=1&copy=2" survive.
+ */
+function decodeHtmlText(str, { attribute = false } = {}) {
+  return str.replace(/&(?:#(\d{1,7});?|#[xX]([0-9a-fA-F]{1,6});?|([A-Za-z][A-Za-z0-9]*)(;?))/g, (ref, dec, hex, name, semi, offset) => {
+    if (name) {
+      if (semi && Object.hasOwn(NAMED_ENTITIES, name)) return NAMED_ENTITIES[name];
+      let length = Math.min(name.length, 6);
+      while (length > 1 && !LEGACY_ENTITIES.has(name.slice(0, length))) length--;
+      if (!LEGACY_ENTITIES.has(name.slice(0, length))) return ref;
+      const next = length < name.length ? name[length] : str[offset + ref.length];
+      if (attribute && next !== undefined && /[A-Za-z0-9=]/.test(next)) return ref;
+      return NAMED_ENTITIES[name.slice(0, length)] + ref.slice(length + 1);
+    }
+    let code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    code = C1_REPLACEMENTS[code] ?? code;
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) code = 0xFFFD;
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Decode HTML entities in a string.
+ */
+function decodeEntities(str) {
+  if (!str) return null;
+  return decodeHtmlText(str).trim();
+}
+
+// --- Titles ---
+
+// Site names that pages append to their titles, as extended regexes
+// anchored at the end. og-audio-dl.sh keeps the same list in
+// TITLE_SUFFIXES so the web app and the CLI name files alike.
+const TITLE_SEPARATOR = '(\\||·|–|—|-)';
+const TITLE_SUFFIXES = [
+  ` ${TITLE_SEPARATOR} Udio$`,
+  ` ${TITLE_SEPARATOR} Suno$`,
+  ` ${TITLE_SEPARATOR} Listen online for free on SoundCloud$`,
+  ` ${TITLE_SEPARATOR} SoundCloud$`,
+  ` ${TITLE_SEPARATOR} Bandcamp$`,
+  ` ${TITLE_SEPARATOR} Mixcloud$`,
+  ` ${TITLE_SEPARATOR} Audiomack$`,
+  ` ${TITLE_SEPARATOR} YouTube$`,
+  ` ${TITLE_SEPARATOR} Spotify$`,
+  ' on Spotify$',
+  ' on Apple Music$',
+  ' on Apple Podcasts$',
+].map(pattern => new RegExp(pattern));
+
+/**
+ * Turn a decoded page title into a track title: collapse whitespace,
+ * normalise to NFC, strip known site suffixes, and split a trailing
+ * ", by Artist" credit. A plain " by X" is only dropped when X is the
+ * artist already known, so titles like "Stand by Me" survive.
+ * Returns { title, artist }.
+ */
+function cleanTitle(raw, artist = null) {
+  let title = raw.normalize('NFC').replace(/\s+/g, ' ').trim();
+  artist = artist?.normalize('NFC') ?? null;
+
+  for (let stripped = true; stripped;) {
+    stripped = false;
+    for (const suffix of TITLE_SUFFIXES) {
+      const next = title.replace(suffix, '');
+      if (next && next !== title) {
+        title = next;
+        stripped = true;
+      }
+    }
+  }
+
+  const credit = title.match(/^(.+), by (.+)$/) ?? (artist ? title.match(/^(.+) by (.+)$/) : null);
+  if (credit && (!artist || credit[2].toLowerCase() === artist.toLowerCase())) {
+    return { title: credit[1], artist: artist ?? credit[2] };
+  }
+  return { title, artist };
+}
+
+const MAX_FILENAME_BYTES = 255;
+const WINDOWS_RESERVED_RE = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * Sanitise a string for use as a filename (or one folder name): no
+ * characters Windows or macOS reject, no leading dots, no trailing dots or
+ * spaces, no reserved device names (CON, NUL, COM1...) and at most 255
+ * bytes of UTF-8, keeping a short extension intact when cutting.
+ */
+function sanitiseFilename(str) {
+  let name = str.replace(/[\/\\:*?"<>|\x00-\x1f\x7f]/g, '_').replace(/^[.\s]+/, '').replace(/[.\s]+$/, '');
+  if (WINDOWS_RESERVED_RE.test(name)) name = name.replace(/^[^.]+/, '$&_');
+
+  const encoder = new TextEncoder();
+  if (encoder.encode(name).length <= MAX_FILENAME_BYTES) return name;
+  const ext = name.match(/\.[a-z0-9]{1,5}$/i)?.[0] ?? '';
+  let budget = MAX_FILENAME_BYTES - ext.length;
+  let base = '';
+  for (const char of name.slice(0, name.length - ext.length)) {
+    budget -= encoder.encode(char).length;
+    if (budget < 0) break;
+    base += char;
+  }
+  return base.replace(/[.\s]+$/, '') + ext;
+}
+
+/**
+ * Add " (1)", " (2)"... before the extension until the filename is not in
+ * `taken`, then claim it. Compared case-insensitively, as Windows and
+ * macOS do.
+ */
+function uniqueFilename(filename, taken) {
+  const dot = filename.lastIndexOf('.');
+  const split = dot > filename.lastIndexOf('/') + 1 ? dot : filename.length;
+  let candidate = filename;
+  for (let n = 1; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${filename.slice(0, split)} (${n})${filename.slice(split)}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// --- Filename templates ---
+
+const DEFAULT_TEMPLATE = '{artist} - {title}.{ext}';
+const TEMPLATE_FIELDS = ['title', 'artist', 'album', 'year', 'model', 'track', 'playlist', 'host', 'ext'];
+const TEMPLATE_MAX = 200;
+const TEMPLATE_TOKEN_RE = /\{([a-z]+)(?::0(\d))?\}/g;
+
+/**
+ * Check a ?template= value. Returns an error message or null.
+ */
+function validateTemplate(template) {
+  if (template.length > TEMPLATE_MAX) return `Template must be at most ${TEMPLATE_MAX} characters`;
+  for (const [, name] of template.matchAll(TEMPLATE_TOKEN_RE)) {
+    if (!TEMPLATE_FIELDS.includes(name)) return `Unknown template field {${name}}`;
+  }
+  return null;
+}
+
+/**
+ * Fill a filename template such as "{artist}/{year} - {title}.{ext}".
+ * "/" in the template makes folders; "/" inside a value never does.
+ * {track:02} zero-pads. Missing values leave no stray " - ", "[]" or
+ * empty folders behind, and ".{ext}" is added if the template lacks it.
+ */
+function renderFilename(template, fields) {
+  if (!template.includes('{ext}')) template += '.{ext}';
+  const segments = template.split('/').map(segment => segment
+    .replace(TEMPLATE_TOKEN_RE, (_, name, width) => {
+      // Trailing dots and spaces are trimmed, so "a.b." + ".{ext}" is not "a.b..mp3"
+      const value = fields[name] == null ? '' : String(fields[name]).replace(/[\/\\]/g, '_').replace(/[.\s]+$/, '');
+      return width && value ? value.padStart(Number(width), '0') : value;
+    })
+    .replace(/\[\s*\]|\(\s*\)|\{\s*\}/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—_,]+|[\s\-–—_,]+$/g, '')
+    .replace(/[\s\-–—_,]+(?=\.[^.]*$)/, ''));
+
+  // A template made only of missing fields still needs a name
+  const last = segments.length - 1;
+  if (segments[last].startsWith('.')) segments[last] = (fields.title || 'audio') + segments[last];
+  return segments.map(sanitiseFilename).filter(Boolean).join('/');
+}
+
+/**
+ * Re-render a result's filename from a template. `extra` supplies list
+ * context ({ track, playlist }); pass a shared `taken` set to give
+ * duplicate names in a list " (1)" suffixes. Returns a copy.
+ */
+function applyTemplate(info, template, extra = {}, taken = null) {
+  let host = null;
+  try { host = new URL(info.pageUrl).hostname.replace(/^www\./, ''); } catch {}
+  const ext = info.filename.match(/\.([a-z0-9]+)$/i)?.[1] ?? 'mp3';
+  let filename = template
+    ? renderFilename(template, { ...info, host, ext, track: extra.track ?? null, playlist: extra.playlist ?? null })
+    : info.filename;
+  if (taken) filename = uniqueFilename(filename, taken);
+  return { ...info, filename };
+}
+
+/**
+ * Name every item of a playlist, feed or batch: template applied with the
+ * item's track number (else its position) as {track}, and collisions
+ * suffixed. Error entries are passed through untouched.
+ */
+function nameListItems(items, template, playlist = null) {
+  const taken = new Set();
+  return items.map((item, i) => (item.error ? item : applyTemplate(item, template, { track: item.trackNumber ?? i + 1, playlist }, taken)));
+}
+
+/**
+ * Validate a URL is safe to fetch (HTTPS, public hostname).
+ */
+function validateUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return { code: 'INVALID_URL', message: 'Invalid URL' }; }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { code: 'INVALID_URL', message: 'Only HTTP/HTTPS URLs are supported' };
+  }
+
+  if (isBlockedHost(parsed.hostname)) {
+    return { code: 'BLOCKED_ADDRESS', message: 'Private or reserved addresses are not allowed' };
+  }
+
+  return null;
+}
+
+// --- Outbound address checks ---
+// Hostnames are checked as written; there is no DNS lookup here, so a
+// public name that resolves to a private address relies on the platform's
+// own egress rules.
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const ORIGIN_TIMEOUT_MS = 10_000;   // per attempt, including the body
+const ORIGIN_RETRIES = 2;
+const RETRY_BASE_MS = 300;
+const RETRY_AFTER_MAX_MS = 5_000;   // a longer Retry-After fails instead
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Special-purpose ranges (IANA registries) that pages must not reach
+const RESERVED_IPV4 = [
+  '0.0.0.0/8',        // "this" network
+  '10.0.0.0/8',       // private
+  '100.64.0.0/10',    // carrier-grade NAT
+  '127.0.0.0/8',      // loopback
+  '169.254.0.0/16',   // link-local, cloud metadata
+  '172.16.0.0/12',    // private
+  '192.0.0.0/24',     // IETF protocol assignments
+  '192.0.2.0/24',     // documentation
+  '192.88.99.0/24',   // 6to4 relay anycast
+  '192.168.0.0/16',   // private
+  '198.18.0.0/15',    // benchmarking
+  '198.51.100.0/24',  // documentation
+  '203.0.113.0/24',   // documentation
+  '224.0.0.0/4',      // multicast
+  '240.0.0.0/4',      // reserved, broadcast
+].map(cidr => parseCidr(cidr, parseIPv4, 32));
+
+const RESERVED_IPV6 = [
+  '::/96',            // unspecified, loopback, IPv4-compatible
+  '::ffff:0:0/96',    // IPv4-mapped
+  '64:ff9b::/96',     // NAT64
+  '64:ff9b:1::/48',   // local NAT64
+  '100::/64',         // discard
+  '2001::/23',        // IETF protocol assignments, Teredo
+  '2001:db8::/32',    // documentation
+  '2002::/16',        // 6to4
+  'fc00::/7',         // unique local
+  'fe80::/10',        // link-local
+  'fec0::/10',        // site-local (deprecated)
+  'ff00::/8',         // multicast
+].map(cidr => parseCidr(cidr, parseIPv6, 128));
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+function parseCidr(cidr, parse, width) {
+  const [addr, bits] = cidr.split('/');
+  return { shift: BigInt(width - Number(bits)), base: BigInt(parse(addr)) };
+}
+
+/**
+ * Parse an IPv4 address the way URL parsers and inet_aton do: one to four
+ * dot-separated parts, each decimal, octal (leading 0) or hex (0x), the
+ * last filling the remaining bytes - so 2130706433, 0x7f.1 and 0177.0.0.1
+ * are all 127.0.0.1. Returns the address as a number, or null.
+ */
+function parseIPv4(host) {
+  const parts = host.split('.');
+  if (parts.length > 4) return null;
+  const nums = [];
+  for (const part of parts) {
+    if (/^0x[0-9a-f]*$/i.test(part)) nums.push(part.length === 2 ? 0 : parseInt(part.slice(2), 16));
+    else if (/^0[0-7]+$/.test(part)) nums.push(parseInt(part, 8));
+    else if (/^(0|[1-9]\d*)$/.test(part)) nums.push(parseInt(part, 10));
+    else return null;
+  }
+  const last = nums.pop();
+  if (nums.some(n => n > 255) || last >= 256 ** (4 - nums.length)) return null;
+  return nums.reduce((acc, n, i) => acc + n * 256 ** (3 - i), last);
+}
+
+/**
+ * Parse an IPv6 address (no brackets), including :: compression and a
+ * trailing dotted quad. A zone ID is ignored. Returns a BigInt, or null.
+ */
+function parseIPv6(addr) {
+  addr = addr.split('%')[0];
+  const dotted = /^(.*:)([^:]*\.[^:]*)$/.exec(addr);
+  if (dotted) {
+    if (!/^\d+\.\d+\.\d+\.\d+$/.test(dotted[2])) return null;
+    const v4 = parseIPv4(dotted[2]);
+    if (v4 === null) return null;
+    addr = dotted[1] + Math.floor(v4 / 65536).toString(16) + ':' + (v4 % 65536).toString(16);
+  }
+  const halves = addr.split('::');
+  if (halves.length > 2) return null;
+  const groups = (half) => (half ? half.split(':') : []);
+  const head = groups(halves[0]);
+  const tail = halves.length === 2 ? groups(halves[1]) : [];
+  const fill = 8 - head.length - tail.length;
+  if (halves.length === 1 ? fill !== 0 : fill < 1) return null;
+  const all = [...head, ...Array(halves.length === 2 ? fill : 0).fill('0'), ...tail];
+  if (!all.every(g => /^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return BigInt('0x' + all.map(g => g.padStart(4, '0')).join(''));
+}
+
+function inRanges(ip, ranges) {
+  const value = BigInt(ip);
+  return ranges.some(({ shift, base }) => (value >> shift) === (base >> shift));
+}
+
+/**
+ * Whether a URL hostname is loopback, private or otherwise reserved:
+ * localhost and its subdomains, local-only suffixes, and IP literals in
+ * any notation that fall in the reserved ranges.
+ */
+function isBlockedHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.+$/, '');
+  if (host === 'localhost' || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) return true;
+  if (host.startsWith('[')) {
+    const ip = parseIPv6(host.slice(1, -1));
+    return ip === null || inRanges(ip, RESERVED_IPV6);
+  }
+  const ip = parseIPv4(host);
+  return ip !== null && inRanges(ip, RESERVED_IPV4);
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP
+ * date), or null without a usable one.
+ */
+function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return Number(header.trim()) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// True when fetch() or a body read failed because the signal timed out
+function isTimeout(err) {
+  return err?.name === 'TimeoutError' || err?.name === 'AbortError';
+}
+
+/**
+ * One request with a timeout, retried with exponential backoff on network
+ * errors, 429 and 5xx. The origin's Retry-After is honoured up to
+ * RETRY_AFTER_MAX_MS; past that the error response is returned as is.
+ * A timeout is not retried.
+ */
+async function fetchWithRetry(url, init) {
+  for (let attempt = 0; ; attempt++) {
+    const backoff = RETRY_BASE_MS * 2 ** attempt + Math.random() * 100;
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(ORIGIN_TIMEOUT_MS) });
+    } catch (err) {
+      if (isTimeout(err)) throw codedError('ORIGIN_TIMEOUT', 'The site took too long to respond');
+      if (attempt >= ORIGIN_RETRIES) throw codedError('ORIGIN_UNREACHABLE', 'Could not connect to the site');
+      await sleep(backoff);
+      continue;
+    }
+    if (!RETRY_STATUSES.has(res.status) || attempt >= ORIGIN_RETRIES) return res;
+    const wait = retryAfterMs(res.headers.get('retry-after')) ?? backoff;
+    if (wait > RETRY_AFTER_MAX_MS) return res;
+    await res.body?.cancel();
+    await sleep(wait);
+  }
+}
+
+/**
+ * fetch() for every server-side request to a third party. Redirects are
+ * followed by hand, up to MAX_REDIRECTS, and each hop is checked with
+ * validateUrl before it is requested; each hop has a timeout and retries
+ * (see fetchWithRetry). Throws a coded Error with a user-facing message
+ * when a hop is blocked, fails or redirects to a URL that doesn't parse.
+ */
+async function safeFetch(url, init = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const urlError = validateUrl(current);
+    if (urlError) throw codedError(urlError.code, hop === 0 ? urlError.message : 'Redirect blocked: ' + urlError.message);
+
+    const res = await fetchWithRetry(current, { ...init, redirect: 'manual' });
+    const location = res.headers.get('location');
+    if (!REDIRECT_STATUSES.has(res.status) || !location) return res;
+
+    await res.body?.cancel();
+    if (hop >= MAX_REDIRECTS) throw codedError('TOO_MANY_REDIRECTS', 'Too many redirects (more than ' + MAX_REDIRECTS + ')');
+    try {
+      current = new URL(location, current).href;
+    } catch {
+      throw codedError('ORIGIN_HTTP_ERROR', 'The site redirected to an invalid URL');
+    }
+    if (res.status === 303 && init.method && init.method !== 'GET' && init.method !== 'HEAD') {
+      init = { ...init, method: 'GET', body: undefined };
+    }
+  }
+}
+
+// --- Character encodings ---
+
+const CHARSET_PRESCAN_BYTES = 4096;
+const CHARSET_RE = /^[\w.:-]+$/;
+
+/**
+ * Find a charset label in a Content-Type style value ("text/html; charset=x").
+ */
+function charsetParam(value) {
+  const match = (value ?? '').match(/charset\s*=\s*["']?([^"'\s;>]+)/i);
+  return match && CHARSET_RE.test(match[1]) ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Work out how a fetched document is encoded, in the browser's order of
+ * precedence: byte order mark, then the Content-Type header, then an
+ * in-document declaration (<meta charset>, <meta http-equiv> or the XML
+ * declaration) near the start. Defaults to UTF-8.
+ */
+function detectCharset(bytes, contentType) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+
+  const fromHeader = charsetParam(contentType);
+  if (fromHeader) return fromHeader;
+
+  // Declarations are ASCII, so a byte-per-char view is enough to find them
+  let prefix = '';
+  for (let i = 0; i < Math.min(bytes.length, CHARSET_PRESCAN_BYTES); i++) prefix += String.fromCharCode(bytes[i]);
+  const xmlDecl = prefix.match(/^\s*<\?xml[^>]*\bencoding\s*=\s*["']([^"']+)["']/i);
+  if (xmlDecl && CHARSET_RE.test(xmlDecl[1])) return xmlDecl[1].toLowerCase();
+  for (const [tag] of prefix.matchAll(/<meta\b[^>]*>/gi)) {
+    const direct = tag.match(/\bcharset\s*=\s*["']?([^"'\s;/>]+)/i);
+    const equiv = /\bhttp-equiv\s*=\s*["']?content-type/i.test(tag) && tag.match(/\bcontent\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i);
+    const label = equiv ? charsetParam(equiv[1]) : direct && !/\bcontent\s*=/i.test(tag) ? direct[1] : null;
+    // A document can't really be UTF-16 if its ASCII declaration is readable
+    if (label && CHARSET_RE.test(label)) return /^utf-?16/i.test(label) ? 'utf-8' : label.toLowerCase();
+  }
+  return 'utf-8';
+}
+
+/**
+ * Decode fetched bytes with their detected charset, falling back to UTF-8
+ * for labels the runtime doesn't know.
+ */
+function decodeBody(buffer, contentType) {
+  const bytes = new Uint8Array(buffer);
+  let decoder;
+  try {
+    decoder = new TextDecoder(detectCharset(bytes, contentType));
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(bytes);
+}
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+const MAX_HTML_SIZE = 2 * 1024 * 1024; // 2 MB
+const MAX_OEMBED_SIZE = 256 * 1024;  // 256 KB
+
+/**
+ * Fetch a text resource from an origin: validates the URL, enforces a size
+ * cap and throws an Error with a user-facing message on failure.
+ * `label` names the resource in those messages ("page", "oEmbed", ...).
+ */
+async function fetchText(url, { accept = '*/*', maxBytes = MAX_HTML_SIZE, label = 'page' } = {}) {
+  const response = await fetchOrigin(url, accept, label);
+
+  // Check content length before reading body
+  const tooLarge = `${label[0].toUpperCase()}${label.slice(1)} too large to process`;
+  const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+  if (contentLength > maxBytes) {
+    await response.body?.cancel();
+    throw codedError('PAGE_TOO_LARGE', tooLarge);
+  }
+
+  const body = streamBody(response, maxBytes);
+  const text = await body.read();
+  if (body.truncated) throw codedError('PAGE_TOO_LARGE', tooLarge);
+  return text;
+}
+
+async function fetchOrigin(url, accept, label) {
+  const response = await safeFetch(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': accept },
+  });
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw Object.assign(codedError('ORIGIN_HTTP_ERROR', `Failed to fetch ${label}: HTTP ${response.status}`), { originStatus: response.status });
+  }
+  return response;
+}
+
+// Bytes needed to recognise "</head" plus the character after it
+const HEAD_END_LENGTH = 7;
+
+/**
+ * Whether `bytes` contain a "</head>" end tag (any case, and not
+ * "</header>"). Tags are ASCII in every charset pages use here.
+ */
+function hasHeadEnd(bytes) {
+  for (let i = 0; i + HEAD_END_LENGTH <= bytes.length; i++) {
+    if (bytes[i] !== 0x3C || bytes[i + 1] !== 0x2F) continue;
+    if ((bytes[i + 2] | 0x20) !== 0x68 || (bytes[i + 3] | 0x20) !== 0x65 ||
+        (bytes[i + 4] | 0x20) !== 0x61 || (bytes[i + 5] | 0x20) !== 0x64) continue;
+    const next = bytes[i + 6];
+    if (next === 0x3E || next === 0x2F || next === 0x20 || (next >= 0x09 && next <= 0x0D)) return true;
+  }
+  return false;
+}
+
+/**
+ * Read a response body as it arrives, keeping at most maxBytes; anything
+ * past that is cancelled and `truncated` is set. read({ untilHeadEnd })
+ * returns the decoded text so far once a </head> tag has arrived; read()
+ * carries on to the end. Call cancel() when stopping early.
+ */
+function streamBody(response, maxBytes) {
+  const reader = response.body?.getReader();
+  const contentType = response.headers.get('content-type');
+  const chunks = [];
+  let done = !reader;
+  let bytesRead = 0;
+  let truncated = false;
+  let headEnd = false;
+  let carry = new Uint8Array(0);
+
+  const finish = () => {
+    if (!done) reader.cancel().catch(() => {});
+    done = true;
+  };
+  const text = () => {
+    const bytes = new Uint8Array(bytesRead);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return decodeBody(bytes, contentType);
+  };
+
+  return {
+    get bytesRead() { return bytesRead; },
+    get truncated() { return truncated; },
+    get done() { return done; },
+    async read({ untilHeadEnd = false } = {}) {
+      while (!done && !(untilHeadEnd && headEnd)) {
+        let next;
+        try {
+          next = await reader.read();
+        } catch (err) {
+          done = true;
+          throw isTimeout(err)
+            ? codedError('ORIGIN_TIMEOUT', 'The site took too long to send the page')
+            : codedError('ORIGIN_UNREACHABLE', 'The connection to the site was lost');
+        }
+        const { value, done: end } = next;
+        if (end) {
+          done = true;
+          break;
+        }
+        const room = maxBytes - bytesRead;
+        const chunk = value.byteLength > room ? value.subarray(0, room) : value;
+        chunks.push(chunk);
+        bytesRead += chunk.byteLength;
+        if (!headEnd) {
+          const window = new Uint8Array(carry.byteLength + chunk.byteLength);
+          window.set(carry);
+          window.set(chunk, carry.byteLength);
+          headEnd = hasHeadEnd(window);
+          carry = window.slice(-(HEAD_END_LENGTH - 1));
+        }
+        if (value.byteLength > room) {
+          truncated = true;
+          finish();
+        }
+      }
+      return text();
+    },
+    cancel: finish,
+  };
+}
+
+/**
+ * Fetch an HTML page for its metadata. Reading stops once </head> has
+ * arrived (tags live in the head), unless `needBody(head, html)` says the
+ * body is wanted too; either way at most MAX_HTML_SIZE bytes are read, and a
+ * longer page is cut short rather than refused.
+ * Returns { html, head, bytesRead, stoppedAt } with stoppedAt "head",
+ * "limit" or null when the whole page was read. A response declared as
+ * something other than HTML or XML throws NOT_HTML.
+ */
+async function fetchPage(url, { needBody = () => true } = {}) {
+  const response = await fetchOrigin(url, HTML_ACCEPT, 'page');
+  const type = (response.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+  if (type && !/html|xml/.test(type)) {
+    await response.body?.cancel();
+    throw codedError('NOT_HTML', `This URL is not a web page (${type})`);
+  }
+  const body = streamBody(response, MAX_HTML_SIZE);
+  let html = await body.read({ untilHeadEnd: true });
+  let head = parseHead(html);
+  if (!body.done && needBody(head, html)) {
+    html = await body.read();
+    head = parseHead(html);
+  }
+  const stoppedAt = body.truncated ? 'limit' : body.done ? null : 'head';
+  body.cancel();
+  return { html, head, bytesRead: body.bytesRead, stoppedAt };
+}
+
+/**
+ * Follow the page's oEmbed discovery link, if it advertises one.
+ * Returns { title, artist, image } or null; failures are not fatal.
+ */
+async function fetchOembed(head, pageUrl) {
+  const link = head.links.find(l => l.rel.split(/\s+/).includes('alternate') && l.type === 'application/json+oembed');
+  if (!link) return null;
+  try {
+    const endpoint = new URL(link.href, pageUrl).href;
+    const data = JSON.parse(await fetchText(endpoint, { accept: 'application/json', maxBytes: MAX_OEMBED_SIZE, label: 'oEmbed' }));
+    const text = (v) => (typeof v === 'string' ? decodeEntities(v) : null);
+    return {
+      title: text(data.title),
+      artist: text(data.author_name),
+      image: typeof data.thumbnail_url === 'string' ? data.thumbnail_url : null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find every audio candidate in a fetched document: meta tags, JSON-LD and
+ * (with options.deep) body <audio> elements, ranked best first.
+ */
+function collectAudio(html, head, pageUrl, options = {}) {
+  const jsonLd = extractJsonLd(html, pageUrl);
+  const candidates = extractAudioCandidates(head);
+  const known = new Set(candidates.map(c => c.url));
+  const addNew = (list) => {
+    for (const c of list) {
+      if (c && !known.has(c.url)) {
+        known.add(c.url);
+        candidates.push(c);
+      }
+    }
+  };
+  addNew(jsonLd.map(item => item.candidate));
+  if (options.deep) addNew(extractBodyAudio(html, pageUrl, head.base));
+  return { audioCandidates: rankAudioCandidates(candidates), jsonLd };
+}
+
+/**
+ * Follow a twitter:player card one hop: fetch the iframe page and look for
+ * audio there. Player pages are usually little more than an <audio>
+ * element, so the body scan always runs on them. The player page's own
+ * twitter:player is never followed, and one pointing back at the page is
+ * ignored. Returns null when there is nothing to follow or nothing found.
+ */
+async function followTwitterPlayer(head, pageUrl) {
+  const player = extractMeta(head, 'twitter:player');
+  if (!player) return null;
+
+  let playerUrl;
+  try {
+    playerUrl = new URL(player, pageUrl);
+  } catch {
+    return null;
+  }
+  playerUrl.hash = '';
+  const page = new URL(pageUrl);
+  page.hash = '';
+  if (playerUrl.href === page.href) return null;
 
-function getCached(url) {
-  const entry = cache.get(url);
-  if (entry && Date.now() - entry.time < CACHE_TTL) return entry.data;
-  if (entry) cache.delete(url);
-  return null;
+  let html;
+  try {
+    html = await fetchText(playerUrl.href, { accept: HTML_ACCEPT, maxBytes: MAX_HTML_SIZE, label: 'player page' });
+  } catch {
+    return null;
+  }
+  const found = collectAudio(html, parseHead(html), playerUrl.href, { deep: true });
+  if (found.audioCandidates.length === 0) return null;
+  return { ...found, playerUrl: playerUrl.href };
 }
 
-function setCache(url, data) {
-  cache.set(url, { data, time: Date.now() });
-  // Evict old entries if cache grows too large
-  if (cache.size > 200) {
-    const now = Date.now();
-    for (const [k, v] of cache) {
-      if (now - v.time > CACHE_TTL) cache.delete(k);
+/**
+ * Fetch a page and extract audio metadata.
+ * Options:
+ *   deep  — also scan the page body for <audio>/<source> elements
+ *   probe — HEAD the audio URL for its real type, size and filename
+ *   rendition — id of the stream rendition to list segments for
+ * The result's `debug` field (bytes read and where reading stopped) is
+ * for ?debug=1; see withDebug.
+ */
+async function extractAudioInfo(url, options = {}) {
+  // The body is only needed for the deep scan, or for JSON-LD audio when
+  // the head declares none
+  const { html, head, bytesRead, stoppedAt } = await fetchPage(url, {
+    needBody: pageHead => options.deep || extractAudioCandidates(pageHead).length === 0,
+  });
+  let { audioCandidates, jsonLd } = collectAudio(html, head, url, options);
+
+  // Nothing on the page itself: try its twitter:player iframe
+  let via = null;
+  if (audioCandidates.length === 0) {
+    const player = await followTwitterPlayer(head, url);
+    if (!player) {
+      return null;
     }
+    audioCandidates = player.audioCandidates;
+    jsonLd = [...jsonLd, ...player.jsonLd];
+    via = [url, player.playerUrl];
   }
+  const best = audioCandidates[0];
+  const audioUrl = best.secureUrl || best.url;
+
+  // JSON-LD recording matching the chosen audio, else the page's first
+  const ld = jsonLd.find(item => item.candidate?.url === best.url) ?? jsonLd[0] ?? null;
+
+  // Only ask oEmbed when the page's own tags leave a gap it can fill
+  const titleTag = TITLE_TAGS.find(tag => extractMeta(head, tag));
+  const ogImage = extractMeta(head, 'og:image');
+  const oembedUseful = (!titleTag && !ld?.title) || !ld?.artist || (!ogImage && !ld?.image);
+
+  // HLS/DASH manifests are parsed so clients can join the audio segments
+  const streamType = manifestType(audioUrl, best.mimeType);
+
+  // Fetch site adapter metadata, oEmbed, any manifest and the optional
+  // audio probe together
+  const [site, oembed, manifest, probe] = await Promise.all([
+    enrichFromAdapter(url),
+    oembedUseful ? fetchOembed(head, url) : null,
+    streamType ? fetchManifest(audioUrl, streamType, options.rendition) : null,
+    options.probe && !streamType ? probeAudio(audioUrl) : null,
+  ]);
+
+  // First non-empty value wins; metaSources records where each came from
+  const metaSources = { audioUrl: best.sourceTag };
+  const pick = (field, options) => {
+    for (const [source, value] of options) {
+      if (value != null && value !== '') {
+        metaSources[field] = source;
+        return value;
+      }
+    }
+    return null;
+  };
+
+  const rawTitle = pick('title', [
+    [titleTag, titleTag && extractMeta(head, titleTag)],
+    ['json-ld', ld?.title],
+    ['oembed', oembed?.title],
+    ['title', head.title],
+  ]);
+  const image = pick('image', [['og:image', ogImage], ['json-ld', ld?.image], ['oembed', oembed?.image]]);
+
+  // Structured data beats the description guess
+  const pickedArtist = pick('artist', [['json-ld', ld?.artist], ['oembed', oembed?.artist], ['description', extractArtist(head)]]);
+  const { title, artist } = rawTitle ? cleanTitle(rawTitle, pickedArtist) : { title: 'audio', artist: pickedArtist };
+  if (artist && !pickedArtist) metaSources.artist = metaSources.title;
+  const album = pick('album', [['json-ld', ld?.album]]);
+
+  const lyrics = pick('lyrics', [[site?.source, site?.meta.lyrics]]);
+  const instrumental = pick('instrumental', [[site?.source, site?.meta.instrumental]]);
+  const styleTags = pick('styleTags', [[site?.source, site?.meta.styleTags]]);
+  const displayTags = pick('displayTags', [[site?.source, site?.meta.displayTags]]);
+  const year = pick('year', [[site?.source, site?.meta.year], ['json-ld', ld?.year]]);
+  const durationMs = pick('durationMs', [[site?.source, site?.meta.durationMs], ['json-ld', ld?.durationMs]]);
+  const model = pick('model', [[site?.source, site?.meta.model]]);
+  const lineage = pick('lineage', [[site?.source, site?.meta.lineage]]);
+
+  // Real type and name from the probe beat the declared type and URL
+  const probedType = MIME_EXTENSIONS[probe?.mimeType] ? probe.mimeType : null;
+  const probedExt = probe?.filename && AUDIO_EXTENSIONS.includes(urlExtension(probe.filename)) ? urlExtension(probe.filename) : null;
+  const rendition = manifest?.renditions.find(r => r.id === manifest.selected);
+  const ext = manifest
+    ? (rendition?.ext ?? 'm4a')
+    : probedExt ?? guessExtension(audioUrl, probedType ?? best.mimeType);
+  const mimeType = manifest
+    ? (rendition?.mimeType ?? null)
+    : probedType ?? (MIME_EXTENSIONS[best.mimeType] ? best.mimeType : EXTENSION_MIME_TYPES[ext]);
+  const sizeBytes = probe?.sizeBytes ?? null;
+
+  // With no title at all, the server's own filename beats "audio"
+  const nameTitle = !metaSources.title && probe?.filename ? probe.filename.replace(/\.[^.]*$/, '') : title;
+  const filename = renderFilename(DEFAULT_TEMPLATE, { title: nameTitle, artist, ext });
+
+  const result = { audioUrl, title, rawTitle, artist, album, lyrics, instrumental, styleTags, displayTags, year, durationMs, model, lineage, filename, mimeType, sizeBytes, image, sourceTag: best.sourceTag, audioCandidates, manifest, metaSources, via, pageUrl: url, debug: { bytesRead, stoppedAt } };
+  return result;
 }
 
-const META_TAGS = [
-  'og:audio',
-  'og:audio:url',
-  'og:audio:secure_url',
-  'twitter:player:stream',
-];
-
-const TITLE_TAGS = ['og:title', 'twitter:title'];
+const SUNO_API = 'https://studio-api.prod.suno.com/api';
+const SUNO_PLAYLIST_MAX = 500;   // tracks per playlist expansion
+const SUNO_PLAYLIST_PAGES = 50;  // safety stop for the paging loop
+const SUNO_PROFILE_MAX = 100;    // songs per profile expansion
+const SUNO_PROFILE_PAGES = 20;
+const MAX_SUNO_API_SIZE = 2 * 1024 * 1024; // 2 MB per API page
 
 /**
- * Extract the value of a meta tag from HTML.
- * Handles both property="..." and name="..." attributes.
+ * GET a Suno API endpoint as JSON through fetchText, so the response is
+ * size-capped like any other origin read. A 404 becomes NOT_FOUND with
+ * `notFound` as its message; a body that isn't JSON is ORIGIN_HTTP_ERROR.
  */
-function extractMeta(html, tag) {
-  // Match <meta property="tag" content="value"> or <meta name="tag" content="value">
-  // Also handle content before property/name
-  const patterns = [
-    new RegExp(`<meta[^>]+(?:property|name)=["']${tag}["'][^>]+content=["']([^"']+)["']`, 'i'),
-    new RegExp(`<meta[^>]+content=["']([^"']+)["'][^>]+(?:property|name)=["']${tag}["']`, 'i'),
-  ];
-  for (const pattern of patterns) {
-    const match = html.match(pattern);
-    if (match) return match[1];
+async function fetchSunoJson(url, label, notFound) {
+  let text;
+  try {
+    text = await fetchText(url, { accept: 'application/json', maxBytes: MAX_SUNO_API_SIZE, label });
+  } catch (err) {
+    if (err.originStatus === 404) throw codedError('NOT_FOUND', notFound);
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw codedError('ORIGIN_HTTP_ERROR', `Failed to fetch ${label}: the response is not JSON`);
   }
-  return null;
 }
 
 /**
- * Extract the <title> tag content as a fallback.
+ * Map a clip from Suno's public API to the /api/info result shape.
  */
-function extractTitle(html) {
-  const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  return match ? match[1].trim() : null;
+function sunoClipToResult(clip, sourceTag) {
+  const id = clip.id;
+  const title = clip.title || ('Track ' + id.slice(0, 8));
+  const artist = clip.display_name || null;
+  const audioUrl = clip.audio_url || ('https://cdn1.suno.ai/' + id + '.mp3');
+  const image = clip.image_large_url || clip.image_url || null;
+  const { lyrics, instrumental, styleTags, displayTags, year, durationMs, model, lineage } = normaliseSunoClip(clip);
+  const filename = renderFilename(DEFAULT_TEMPLATE, { title, artist, ext: 'mp3' });
+  const pageUrl = 'https://suno.com/song/' + id;
+
+  return { audioUrl, title, rawTitle: clip.title || null, artist, lyrics, instrumental, styleTags, displayTags, year, durationMs, model, lineage, filename, mimeType: 'audio/mpeg', sizeBytes: null, image, sourceTag, pageUrl };
 }
 
 /**
- * Extract artist from meta description.
- * Handles formats like:
- *   "Title by Artist (@handle). ..."  (Suno)
- *   "Title by Artist on ..."
+ * Fetch all tracks from a public Suno playlist URL through the public
+ * studio-api playlist endpoint, paging until the whole list (up to
+ * SUNO_PLAYLIST_MAX) is in, in the playlist's own order. No
+ * authentication required. Each track carries album (the playlist name),
+ * trackNumber and trackTotal. Returns { title, items, truncated }.
  */
-function extractArtist(html) {
-  const desc = extractMeta(html, 'description');
-  if (!desc) return null;
-  const match = desc.match(/\bby\s+([^(@]+?)(?:\s*\(@[^)]+\))?[.\s]+(Listen|on\s)/i);
-  if (match) return decodeEntities(match[1].trim()) || null;
-  return null;
-}
-
-// --- Suno lyrics extraction ---
-
-function normaliseSunoEscapes(str) {
-  return str
-    .replace(/\\"/g, '"')
-    .replace(/\\u003c/g, '<')
-    .replace(/\\u003e/g, '>')
-    .replace(/\\u0026/g, '&')
-    .replace(/\\n/g, '\n');
-}
+async function fetchSunoPlaylist(playlistUrl) {
+  const u = new URL(playlistUrl);
+  const parts = u.pathname.split('/').filter(Boolean);
+  if (parts.length < 2 || parts[0] !== 'playlist') return null;
+  const id = parts[1];
 
-function extractSunoFlightChunks(html) {
-  const chunks = [];
-  const re = /self\.__next_f\.push\(\[1,"([\s\S]*?)"\]\)<\/script>/g;
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    chunks.push(normaliseSunoEscapes(m[1]));
+  const entries = [];
+  const seen = new Set();
+  let name = null;
+  let total = null;
+  for (let page = 1; entries.length < SUNO_PLAYLIST_MAX && page <= SUNO_PLAYLIST_PAGES; page++) {
+    const playlist = await fetchSunoJson(`${SUNO_API}/playlist/${encodeURIComponent(id)}?page=${page}`, 'playlist', 'Suno playlist not found');
+    name ??= playlist.name || null;
+    total = playlist.num_total_results ?? total;
+
+    const fresh = (playlist.playlist_clips || []).filter(entry => entry?.clip?.id && !seen.has(entry.clip.id));
+    if (fresh.length === 0) break;
+    for (const entry of fresh) {
+      seen.add(entry.clip.id);
+      entries.push(entry);
+    }
+    if (total != null && seen.size >= total) break;
   }
-  return chunks;
-}
+  if (entries.length === 0) throw codedError('EMPTY_COLLECTION', 'No tracks found in this playlist');
+
+  // relative_index is the position the playlist's owner gave each track
+  entries.sort((a, b) => (a.relative_index ?? Infinity) - (b.relative_index ?? Infinity));
+  const kept = entries.slice(0, SUNO_PLAYLIST_MAX);
+  const trackTotal = Math.max(total ?? 0, entries.length);
+  const album = name ? cleanTitle(name).title : null;
+  const items = kept.map((entry, i) => ({
+    ...sunoClipToResult(entry.clip, 'suno-playlist'),
+    album,
+    trackNumber: i + 1,
+    trackTotal,
+  }));
 
-function looksLikeSunoLyrics(text) {
-  const t = text.trim();
-  if (t.length < 80) return false;
-  if (t.includes('{"')) return false;
-  if (t.includes(':["$')) return false;
-  if (t.includes('"$L')) return false;
-  if (/^[a-z0-9]+:/i.test(t)) return false;
-  const lines = t.split('\n').map(l => l.trim()).filter(Boolean);
-  if (lines.length < 4) return false;
-  const words = (t.match(/[A-Za-z]{2,}/g) ?? []).length;
-  return words >= 20;
+  return { title: album, items, truncated: trackTotal > items.length };
 }
 
-function extractJsonObject(src, start) {
-  if (src[start] !== '{') return null;
-  let depth = 0, inStr = false, esc = false;
-  for (let i = start; i < src.length; i++) {
-    const ch = src[i];
-    if (inStr) {
-      if (esc) { esc = false; continue; }
-      if (ch === '\\') { esc = true; continue; }
-      if (ch === '"') inStr = false;
-      continue;
+/**
+ * Fetch the public songs of a Suno creator from a suno.com/@handle URL,
+ * newest first, paging through the profile API up to SUNO_PROFILE_MAX.
+ * Returns { title, items, truncated }; truncated is true when the song or
+ * page cap cut the list short.
+ */
+async function fetchSunoProfile(profileUrl) {
+  const handle = new URL(profileUrl).pathname.match(/^\/@([\w.-]+)\/?$/)?.[1];
+  if (!handle) return null;
+
+  const items = [];
+  const seen = new Set();
+  let name = null;
+  let total = null;
+  let more = true;
+  for (let page = 1; more && items.length < SUNO_PROFILE_MAX && page <= SUNO_PROFILE_PAGES; page++) {
+    const profile = await fetchSunoJson(
+      `${SUNO_API}/profiles/${encodeURIComponent(handle)}?page=${page}&clips_sort_by=created_at&playlists_sort_by=created_at`,
+      'Suno profile', 'Suno profile not found');
+    name ??= profile.display_name || profile.handle || handle;
+    total = profile.num_total_clips ?? total;
+
+    // Stop when a page brings nothing new, in case the API repeats itself
+    const clips = (profile.clips || []).filter(clip => clip?.id && !seen.has(clip.id));
+    more = clips.length > 0;
+    for (const clip of clips) {
+      if (items.length === SUNO_PROFILE_MAX) break;
+      seen.add(clip.id);
+      if (clip.is_public === false) continue;
+      items.push(sunoClipToResult(clip, 'suno-profile'));
     }
-    if (ch === '"') { inStr = true; continue; }
-    if (ch === '{') { depth++; continue; }
-    if (ch === '}') { depth--; if (depth === 0) return src.slice(start, i + 1); }
+    if (total != null && seen.size >= total) more = false;
   }
-  return null;
+  if (items.length === 0) throw codedError('EMPTY_COLLECTION', 'This profile has no public songs');
+
+  // Either cap can end the loop while the API still has songs to give
+  return { title: name, items, truncated: more };
 }
 
-function resolveSunoPromptToken(html, token) {
-  if (!/^\$\d+$/.test(token)) return null;
-  const chunks = extractSunoFlightChunks(html);
-  const id = token.slice(1);
-  const ti = chunks.findIndex(c => c.includes(`${id}:T`) || c.includes(`${id}:`));
-  if (ti !== -1) {
-    for (let i = ti + 1; i < Math.min(chunks.length, ti + 8); i++) {
-      if (looksLikeSunoLyrics(chunks[i])) return chunks[i].trim();
+// --- Bandcamp ---
+
+/**
+ * Read the JSON that Bandcamp pages keep in data-tralbum (the release and
+ * its tracklist) and data-embed (album title on track pages) attributes.
+ */
+function extractBandcampData(html) {
+  const data = { tralbum: null, embed: null };
+  for (const token of tokenizeHtml(html)) {
+    if (token.type !== 'start') continue;
+    for (const key of ['tralbum', 'embed']) {
+      const raw = token.attrs['data-' + key];
+      if (raw && !data[key]) {
+        try { data[key] = JSON.parse(raw); } catch {}
+      }
     }
+    if (data.tralbum && data.embed) break;
   }
-  const ci = chunks.findIndex(c => c.includes('"clip":{'));
-  if (ci > 0 && looksLikeSunoLyrics(chunks[ci - 1])) return chunks[ci - 1].trim();
-  const fallback = chunks.find(c => looksLikeSunoLyrics(c));
-  return fallback ? fallback.trim() : null;
+  return data;
 }
 
-function extractSunoClipMeta(html) {
-  const norm = normaliseSunoEscapes(html);
-  const clipIdx = norm.indexOf('"clip":{');
-  if (clipIdx === -1) return null;
-  const objStart = norm.indexOf('{', clipIdx + '"clip":'.length);
-  if (objStart === -1) return null;
-  const clipJson = extractJsonObject(norm, objStart);
-  if (!clipJson) return null;
-  try {
-    const clip = JSON.parse(clipJson);
-    const meta = (clip.metadata && typeof clip.metadata === 'object') ? clip.metadata : {};
-
-    // Resolve lyrics
-    const displayed = (clip.displayed_lyrics || meta.displayed_lyrics || '').trim() || null;
-    let lyrics = null;
-    if (displayed && !/^\$\d+$/.test(displayed) && !/^\[instrumental\]$/i.test(displayed)) {
-      lyrics = displayed.slice(0, 20000);
-    } else {
-      const prompt = (meta.prompt || '').trim() || null;
-      if (prompt && !/^\[instrumental\]$/i.test(prompt)) {
-        const resolved = /^\$\d+$/.test(prompt) ? resolveSunoPromptToken(html, prompt) : prompt;
-        if (resolved && !/^\$\d+$/.test(resolved)) lyrics = resolved.slice(0, 20000);
-      }
+/**
+ * Expand a Bandcamp album or track page into one result per track, using
+ * the free 128 kbps streams the page's own player plays.
+ * Returns { title, items, truncated }.
+ */
+async function fetchBandcampRelease(pageUrl) {
+  const html = await fetchText(pageUrl, { accept: HTML_ACCEPT, maxBytes: MAX_HTML_SIZE });
+  const { tralbum, embed } = extractBandcampData(html);
+  if (!tralbum || !Array.isArray(tralbum.trackinfo)) throw codedError('NO_AUDIO_TAG', 'No Bandcamp release data found on this page');
+
+  const isAlbum = tralbum.item_type === 'album';
+  const album = (isAlbum ? tralbum.current?.title : embed?.album_title) || null;
+  const released = new Date(tralbum.album_release_date || tralbum.current?.release_date || '');
+  const releaseDate = Number.isNaN(released.getTime()) ? null : released.toISOString().slice(0, 10);
+  const image = tralbum.art_id ? `https://f4.bcbits.com/img/a${String(tralbum.art_id).padStart(10, '0')}_10.jpg` : null;
+  const trackTotal = tralbum.trackinfo.length;
+
+  const items = tralbum.trackinfo.map((track, i) => {
+    const audioUrl = track.file?.['mp3-128'];
+    if (!audioUrl) {
+      return { error: { code: 'TRACK_UNAVAILABLE', message: 'This track is not available to stream' }, id: track.title || `Track ${i + 1}` };
     }
+    const artist = track.artist || tralbum.artist || null;
+    const title = track.title || `Track ${i + 1}`;
+    return {
+      audioUrl, title, rawTitle: track.title || null, artist, album,
+      lyrics: track.lyrics?.trim() || null, styleTags: null, displayTags: null,
+      year: releaseDate?.slice(0, 4) ?? null, releaseDate,
+      durationMs: track.duration ? Math.round(track.duration * 1000) : null, model: null,
+      trackNumber: track.track_num ?? i + 1, trackTotal,
+      filename: renderFilename(DEFAULT_TEMPLATE, { title, artist, ext: 'mp3' }),
+      mimeType: 'audio/mpeg', sizeBytes: null, image, sourceTag: 'bandcamp',
+      pageUrl: track.title_link ? new URL(track.title_link, pageUrl).href : pageUrl,
+    };
+  });
 
-    // Style prompt (full tags string - the creative brief)
-    const styleTags = (meta.tags || '').trim() || null;
+  return { title: album, items, truncated: false };
+}
 
-    // Display tags (short cleaned genre list)
-    const displayTags = (clip.display_tags || '').trim() || null;
+// --- Site adapters ---
 
-    // Created date (ISO string -> YYYY-MM-DD for ID3 TDRC)
-    let year = null;
-    if (clip.created_at) {
-      const d = new Date(clip.created_at);
-      if (!isNaN(d)) year = d.getFullYear().toString();
-    }
+/**
+ * Platform-specific knowledge lives in adapters, so supporting a new site
+ * means adding one entry to SITE_ADAPTERS. An adapter has:
+ *   id          — short name; also the metaSources source for its fields
+ *   name        — display name
+ *   hosts       — hostnames it handles; "*.example.com" matches subdomains
+ *   collections — [{ kind, label, noun, path }] where `path` is a regex
+ *                 source for pathnames that expand into many items
+ *   enrich(url) — optional: extra fields for a single page (lyrics,
+ *                 instrumental, styleTags, displayTags, year, durationMs,
+ *                 model, lineage) or null
+ *   expand(url, kind) — optional: { title, items, truncated } for a
+ *                 collection URL; `kind` is the matching collection's kind
+ */
+const SITE_ADAPTERS = [
+  {
+    id: 'suno',
+    name: 'Suno',
+    hosts: ['suno.com', 'www.suno.com'],
+    collections: [
+      { kind: 'playlist', label: 'Playlist', noun: 'tracks', path: '^/playlist/[^/]+' },
+      { kind: 'profile', label: 'Profile', noun: 'songs', path: '^/@[\\w.-]+/?$' },
+    ],
+    enrich: fetchSunoMeta,
+    expand: (url, kind) => (kind === 'profile' ? fetchSunoProfile(url) : fetchSunoPlaylist(url)),
+  },
+  {
+    id: 'bandcamp',
+    name: 'Bandcamp',
+    hosts: ['*.bandcamp.com'],
+    collections: [
+      { kind: 'album', label: 'Album', noun: 'tracks', path: '^/album/[^/]+' },
+      { kind: 'track', label: 'Track', noun: 'track', path: '^/track/[^/]+' },
+    ],
+    expand: fetchBandcampRelease,
+  },
+];
 
-    // Duration in ms for ID3 TLEN
-    const durationMs = typeof meta.duration === 'number' ? Math.round(meta.duration * 1000) : null;
+/**
+ * Does a hostname match an adapter host entry ("*." means any subdomain)?
+ */
+function hostMatches(pattern, host) {
+  return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
 
-    // Model version
-    const model = clip.major_model_version || null;
+/**
+ * Find the adapter that handles a URL's host, if any.
+ */
+function findAdapter(url) {
+  let host;
+  try { host = new URL(url).hostname; } catch { return null; }
+  return SITE_ADAPTERS.find(adapter => adapter.hosts.some(pattern => hostMatches(pattern, host))) ?? null;
+}
 
-    return { lyrics, styleTags, displayTags, year, durationMs, model };
-  } catch {
-    return null;
-  }
+/**
+ * Find the adapter and collection entry a URL would expand through.
+ * Returns { adapter, collection } or null.
+ */
+function findCollection(url) {
+  const adapter = findAdapter(url);
+  if (!adapter?.expand) return null;
+  const path = new URL(url).pathname;
+  const collection = adapter.collections.find(c => new RegExp(c.path).test(path));
+  return collection ? { adapter, collection } : null;
 }
 
 /**
- * Fetch Suno embed page and extract rich metadata for a given song URL.
- * Only attempted for suno.com URLs.
+ * Ask the URL's adapter for extra single-page metadata.
+ * Returns { source, meta } or null; failures are not fatal.
  */
-async function fetchSunoMeta(pageUrl) {
+async function enrichFromAdapter(url) {
+  const adapter = findAdapter(url);
+  if (!adapter?.enrich) return null;
   try {
-    const u = new URL(pageUrl);
-    if (u.hostname !== 'suno.com' && u.hostname !== 'www.suno.com') return null;
-    const parts = u.pathname.split('/').filter(Boolean);
-    if (parts.length < 2 || parts[0] !== 'song') return null;
-    const id = parts[1];
-    if (!/^[0-9a-fA-F-]{36}$/.test(id)) return null;
-    const res = await fetch(`https://suno.com/embed/${id}`, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
-    });
-    if (!res.ok) return null;
-    const html = await res.text();
-    return extractSunoClipMeta(html);
+    const meta = await adapter.enrich(url);
+    return meta ? { source: adapter.id, meta } : null;
   } catch {
     return null;
   }
 }
 
 /**
- * Guess file extension from a URL.
+ * Expand a collection URL (playlist, album...) through its adapter.
+ * Returns { adapter, kind, title, items, truncated } or null if no
+ * adapter expands this URL.
  */
-function guessExtension(url) {
-  const path = url.split('?')[0];
-  const ext = path.split('.').pop().toLowerCase();
-  const valid = ['mp3', 'mp4', 'm4a', 'wav', 'ogg', 'flac', 'aac', 'opus', 'wma', 'webm'];
-  return valid.includes(ext) ? ext : 'mp3';
+async function expandCollection(url) {
+  const match = findCollection(url);
+  if (!match) return null;
+  const result = await match.adapter.expand(url, match.collection.kind);
+  if (!result) return null;
+  return { adapter: match.adapter.id, kind: match.collection.kind, ...result };
 }
 
 /**
- * Decode HTML entities in a string.
+ * Public description of the adapters, for GET /api/adapters. Each
+ * collection carries a `pattern` to test against hostname + pathname.
  */
-function decodeEntities(str) {
-  if (!str) return null;
-  return str
-    .replace(/&#x27;/g, "'")
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .trim();
+function describeAdapters() {
+  const escape = (host) => host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/^\\\*\\\./, '[^/]+\\.');
+  return SITE_ADAPTERS.map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    hosts: adapter.hosts,
+    capabilities: { enrich: Boolean(adapter.enrich), expand: Boolean(adapter.expand) },
+    collections: adapter.collections.map(({ kind, label, noun, path }) => ({
+      kind, label, noun,
+      pattern: `^(${adapter.hosts.map(escape).join('|')})${path.replace(/^\^/, '')}`,
+    })),
+  }));
 }
 
+// --- HLS / DASH manifests ---
+
+const MAX_MANIFEST_SIZE = 2 * 1024 * 1024; // 2 MB
+const MAX_RENDITIONS = 8;
+const MAX_SEGMENTS = 10000;
+const AUDIO_CODEC_RE = /^(mp4a|ac-3|ec-3|ac-4|opus|flac|mp3|alac|vorbis)/i;
+
 /**
- * Sanitise a string for use as a filename.
+ * Recognise a streaming manifest from its URL extension or declared type.
+ * Returns 'hls', 'dash' or null.
  */
-function sanitiseFilename(str) {
-  return str.replace(/[\/\\:*?"<>|]/g, '_').replace(/^[.\s]+/, '').replace(/[.\s]+$/, '');
+function manifestType(url, mimeType) {
+  const type = (mimeType ?? '').toLowerCase();
+  const ext = urlExtension(url);
+  if (ext === 'm3u8' || type.includes('mpegurl')) return 'hls';
+  if (ext === 'mpd' || type === 'application/dash+xml') return 'dash';
+  return null;
 }
 
 /**
- * Validate a URL is safe to fetch (HTTPS, public hostname).
+ * Work out what joining a rendition's segments produces. MPEG-TS segments
+ * are demuxed by the web app into the AAC (ADTS) or MP3 audio they carry;
+ * with any other codec, ext and mimeType are null and the rendition is
+ * dropped.
  */
-function validateUrl(url) {
-  let parsed;
-  try { parsed = new URL(url); } catch { return 'Invalid URL'; }
+function segmentContainer(initUrl, segmentUrl, mimeType, codec) {
+  const ext = segmentUrl ? urlExtension(segmentUrl) : '';
+  const type = (mimeType ?? '').toLowerCase();
+  if (ext === 'webm' || type.endsWith('/webm')) return { container: 'webm', ext: 'webm', mimeType: 'audio/webm' };
+  if (initUrl || ['m4s', 'mp4', 'm4a', 'cmfa'].includes(ext) || type.endsWith('/mp4')) return { container: 'mp4', ext: 'm4a', mimeType: 'audio/mp4' };
+  if (ext === 'aac') return { container: 'adts', ext: 'aac', mimeType: 'audio/aac' };
+  if (ext === 'mp3') return { container: 'mp3', ext: 'mp3', mimeType: 'audio/mpeg' };
+  const name = (codec ?? '').toLowerCase();
+  if (/^(mp3|mp4a\.(40\.34|69|6b)$)/.test(name)) return { container: 'mpegts', ext: 'mp3', mimeType: 'audio/mpeg' };
+  if (!name || name.startsWith('mp4a')) return { container: 'mpegts', ext: 'aac', mimeType: 'audio/aac' };
+  return { container: 'mpegts', ext: null, mimeType: null };
+}
 
-  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
-    return 'Only HTTP/HTTPS URLs are supported';
+/**
+ * Parse an HLS attribute list (KEY=value,KEY="quoted, value").
+ */
+function parseHlsAttrs(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let m;
+  while ((m = re.exec(str)) !== null) attrs[m[1]] = m[2].replace(/^"|"$/g, '');
+  return attrs;
+}
+
+/**
+ * Parse an HLS master playlist into its audio-only renditions: audio
+ * EXT-X-MEDIA groups, and variant streams whose CODECS are all audio.
+ */
+function parseHlsMaster(text, manifestUrl) {
+  const lines = text.split(/\r?\n/).map(l => l.trim());
+  const renditions = [];
+  const media = [];
+  const groupCodecs = new Map();
+  let encrypted = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('#EXT-X-SESSION-KEY:')) {
+      if (parseHlsAttrs(line.slice(19)).METHOD !== 'NONE') encrypted = true;
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const a = parseHlsAttrs(line.slice(13));
+      if (a.TYPE === 'AUDIO' && a.URI) media.push(a);
+    } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const a = parseHlsAttrs(line.slice(18));
+      let uri = null;
+      for (let j = i + 1; j < lines.length && !uri; j++) {
+        if (lines[j] && !lines[j].startsWith('#')) uri = lines[j];
+      }
+      const codecs = (a.CODECS ?? '').split(',').map(c => c.trim()).filter(Boolean);
+      const audioCodec = codecs.find(c => AUDIO_CODEC_RE.test(c)) ?? null;
+      if (a.AUDIO && audioCodec && !groupCodecs.has(a.AUDIO)) groupCodecs.set(a.AUDIO, audioCodec);
+      if (uri && codecs.length > 0 && codecs.every(c => AUDIO_CODEC_RE.test(c)) && !a.RESOLUTION) {
+        renditions.push({ id: 'variant-' + renditions.length, name: null, codec: audioCodec, bitrate: Number(a.BANDWIDTH) || null, language: null, uri: new URL(uri, manifestUrl).href });
+      }
+    }
+  }
+
+  for (const a of media) {
+    renditions.push({
+      id: a['GROUP-ID'] + (a.NAME ? ':' + a.NAME : ''),
+      name: a.NAME ?? null,
+      codec: groupCodecs.get(a['GROUP-ID']) ?? null,
+      bitrate: null,
+      language: a.LANGUAGE ?? null,
+      uri: new URL(a.URI, manifestUrl).href,
+    });
+  }
+  return { encrypted, renditions };
+}
+
+/**
+ * Parse an HLS media playlist into its segment list. Any EXT-X-KEY with a
+ * method other than NONE marks the rendition as encrypted.
+ */
+function parseHlsMediaPlaylist(text, playlistUrl) {
+  const segments = [];
+  let initUrl = null;
+  let encrypted = false;
+  let ended = false;
+  let byteRange = null;
+  let lastRange = { url: null, end: 0 };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#EXT-X-KEY:')) {
+      if (parseHlsAttrs(line.slice(11)).METHOD !== 'NONE') encrypted = true;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const a = parseHlsAttrs(line.slice(11));
+      if (a.URI && !initUrl) initUrl = new URL(a.URI, playlistUrl).href;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      const [length, offset] = line.slice(17).split('@');
+      byteRange = { length: Number(length), offset: offset === undefined ? null : Number(offset) };
+    } else if (line === '#EXT-X-ENDLIST') {
+      ended = true;
+    } else if (!line.startsWith('#')) {
+      const url = new URL(line, playlistUrl).href;
+      let range = null;
+      if (byteRange) {
+        const start = byteRange.offset ?? (lastRange.url === url ? lastRange.end : 0);
+        range = `bytes=${start}-${start + byteRange.length - 1}`;
+        lastRange = { url, end: start + byteRange.length };
+        byteRange = null;
+      }
+      segments.push({ url, range });
+      if (segments.length > MAX_SEGMENTS) throw new Error('Stream has too many segments');
+    }
   }
+  return { initUrl, encrypted, live: !ended, segments };
+}
 
-  const host = parsed.hostname.toLowerCase();
+/**
+ * Expand a DASH representation into init + media segment URLs. Handles
+ * SegmentTemplate (with or without SegmentTimeline), SegmentList, and
+ * SegmentBase / bare BaseURL (the whole rendition is one file).
+ */
+function dashSegments(rep, set, baseUrl, durationSec) {
+  const repTemplate = xmlChild(rep, 'segmenttemplate');
+  const setTemplate = xmlChild(set, 'segmenttemplate');
+
+  if (repTemplate || setTemplate) {
+    const attrs = { ...setTemplate?.attrs, ...repTemplate?.attrs };
+    const fill = (template, number, time) => template.replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$|\$\$/g, (m, key, width) => {
+      if (!key) return '$';
+      const value = String({ RepresentationID: rep.attrs.id, Number: number, Time: time, Bandwidth: rep.attrs.bandwidth }[key] ?? '');
+      return width ? value.padStart(Number(width), '0') : value;
+    });
 
-  // Block private/reserved IP ranges
-  if (/^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|0\.|169\.254\.|::1|fc|fd|fe80)/.test(host)) {
-    return 'Private or reserved addresses are not allowed';
+    const initUrl = attrs.initialization ? new URL(fill(attrs.initialization), baseUrl).href : null;
+    const segments = [];
+    if (!attrs.media) return { initUrl, segments };
+    const push = (number, time) => {
+      if (segments.length >= MAX_SEGMENTS) throw new Error('Stream has too many segments');
+      segments.push({ url: new URL(fill(attrs.media, number, time), baseUrl).href, range: null });
+    };
+
+    const startNumber = attrs.startnumber ? Number(attrs.startnumber) : 1;
+    const timescale = Number(attrs.timescale) || 1;
+    const timeline = xmlChild(repTemplate, 'segmenttimeline') ?? xmlChild(setTemplate, 'segmenttimeline');
+    if (timeline) {
+      const end = durationSec * timescale;
+      let time = 0;
+      let number = startNumber;
+      for (const s of xmlChildren(timeline, 's')) {
+        if (s.attrs.t !== undefined) time = Number(s.attrs.t);
+        const d = Number(s.attrs.d);
+        if (!d) break;
+        let repeat = s.attrs.r !== undefined ? Number(s.attrs.r) : 0;
+        if (repeat < 0) repeat = Math.max(0, Math.ceil((end - time) / d) - 1);
+        for (let k = 0; k <= repeat; k++) {
+          push(number++, time);
+          time += d;
+        }
+      }
+    } else if (Number(attrs.duration) > 0) {
+      const duration = Number(attrs.duration);
+      const count = Math.ceil((durationSec * timescale) / duration);
+      for (let k = 0; k < count; k++) push(startNumber + k, k * duration);
+    }
+    return { initUrl, segments };
   }
-  if (host === 'localhost' || host === '[::1]') {
-    return 'Private or reserved addresses are not allowed';
+
+  const list = xmlChild(rep, 'segmentlist') ?? xmlChild(set, 'segmentlist');
+  if (list) {
+    const init = xmlChild(list, 'initialization');
+    return {
+      initUrl: init?.attrs.sourceurl ? new URL(init.attrs.sourceurl, baseUrl).href : null,
+      segments: xmlChildren(list, 'segmenturl').slice(0, MAX_SEGMENTS).map(seg => ({
+        url: seg.attrs.media ? new URL(seg.attrs.media, baseUrl).href : baseUrl,
+        range: seg.attrs.mediarange ? 'bytes=' + seg.attrs.mediarange : null,
+      })),
+    };
   }
 
-  return null;
+  return { initUrl: null, segments: [{ url: baseUrl, range: null }] };
 }
 
-const MAX_HTML_SIZE = 2 * 1024 * 1024; // 2 MB
-
 /**
- * Fetch a page and extract audio metadata.
+ * Parse a DASH MPD into the audio representations of its first period.
+ * Any ContentProtection element marks the whole manifest as DRM-protected.
  */
-async function extractAudioInfo(url) {
-  const cached = getCached(url);
-  if (cached) return cached;
+function parseDashManifest(xml, manifestUrl) {
+  const mpd = xmlChild(parseXml(xml), 'mpd');
+  if (!mpd) throw new Error('Not a DASH manifest');
+
+  const encrypted = /<(?:[\w-]+:)?ContentProtection\b/i.test(xml);
+  const period = xmlChild(mpd, 'period');
+  const durationMs = parseIsoDuration(period?.attrs.duration) ?? parseIsoDuration(mpd.attrs.mediapresentationduration) ?? 0;
+  const withBase = (el, parent) => {
+    const href = xmlText(el, 'baseurl');
+    return href ? new URL(href, parent).href : parent;
+  };
+  const periodBase = withBase(period, withBase(mpd, manifestUrl));
+
+  const renditions = [];
+  for (const set of xmlChildren(period, 'adaptationset')) {
+    const reps = xmlChildren(set, 'representation');
+    const isAudio = set.attrs.contenttype === 'audio'
+      || (set.attrs.mimetype ?? '').startsWith('audio/')
+      || reps.some(r => (r.attrs.mimetype ?? '').startsWith('audio/'));
+    if (!isAudio) continue;
+
+    const setBase = withBase(set, periodBase);
+    for (const rep of reps) {
+      const { initUrl, segments } = dashSegments(rep, set, withBase(rep, setBase), durationMs / 1000);
+      renditions.push({
+        id: rep.attrs.id ?? 'rep-' + renditions.length,
+        name: set.attrs.label ?? xmlText(set, 'label'),
+        codec: rep.attrs.codecs ?? set.attrs.codecs ?? null,
+        bitrate: Number(rep.attrs.bandwidth) || null,
+        language: set.attrs.lang ?? rep.attrs.lang ?? null,
+        mimeType: rep.attrs.mimetype ?? set.attrs.mimetype ?? null,
+        initUrl,
+        segments,
+      });
+    }
+  }
+  return { encrypted, live: mpd.attrs.type === 'dynamic', renditions };
+}
 
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    },
-    redirect: 'follow',
-  });
+/**
+ * Fetch an HLS or DASH manifest and describe its audio-only renditions,
+ * best bitrate first. Only the `selected` one (the rendition with id
+ * `renditionId`, else the best) carries the segment URLs a client needs
+ * to join it; every rendition has its segmentCount, so a long stream
+ * isn't listed eight times over. Encrypted, DRM-protected and live
+ * streams are reported with an `error` and no segments: this project
+ * does not circumvent protection.
+ */
+async function fetchManifest(url, type, renditionId = null) {
+  const manifest = { type, url, encrypted: false, live: false, renditions: [], selected: null, error: null };
+  const fetchOpts = { maxBytes: MAX_MANIFEST_SIZE, label: 'manifest' };
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch page: HTTP ${response.status}`);
+  try {
+    const text = await fetchText(url, fetchOpts);
+    if (type === 'hls') {
+      if (!text.trimStart().startsWith('#EXTM3U')) throw new Error('Not an HLS playlist');
+      const master = /#EXT-X-STREAM-INF|#EXT-X-MEDIA:/.test(text)
+        ? parseHlsMaster(text, url)
+        : { encrypted: false, renditions: [{ id: 'main', name: null, codec: null, bitrate: null, language: null, uri: url }] };
+      manifest.encrypted = master.encrypted;
+
+      manifest.renditions = await Promise.all(master.renditions.slice(0, MAX_RENDITIONS).map(async ({ uri, ...rendition }) => {
+        const playlist = parseHlsMediaPlaylist(uri === url ? text : await fetchText(uri, fetchOpts), uri);
+        if (playlist.encrypted) manifest.encrypted = true;
+        if (playlist.live) manifest.live = true;
+        return { ...rendition, mimeType: null, initUrl: playlist.initUrl, segments: playlist.segments };
+      }));
+    } else {
+      const dash = parseDashManifest(text, url);
+      manifest.encrypted = dash.encrypted;
+      manifest.live = dash.live;
+      manifest.renditions = dash.renditions.slice(0, MAX_RENDITIONS);
+    }
+  } catch (err) {
+    manifest.error = err.message;
+    return manifest;
   }
 
-  // Check content length before reading body
-  const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
-  if (contentLength > MAX_HTML_SIZE) {
-    throw new Error('Page too large to process');
+  const described = manifest.renditions.map(r => ({ ...r, ...segmentContainer(r.initUrl, r.segments[0]?.url, r.mimeType, r.codec) }));
+  const unsupported = described.find(r => !r.ext);
+  manifest.renditions = described.filter(r => r.ext).sort((a, b) => (b.bitrate ?? 0) - (a.bitrate ?? 0));
+
+  if (manifest.encrypted) {
+    manifest.error = 'This stream is encrypted or DRM-protected, so it cannot be downloaded';
+  } else if (manifest.live) {
+    manifest.error = 'This is a live stream, so it cannot be saved as a file';
+  } else if (manifest.renditions.length === 0 && unsupported) {
+    manifest.error = `This stream's ${unsupported.codec} audio is packed in MPEG-TS, which can only be saved as AAC or MP3`;
+  } else if (manifest.renditions.length === 0) {
+    manifest.error = 'No audio-only renditions found in this stream';
   }
-
-  const html = await response.text();
-  if (html.length > MAX_HTML_SIZE) {
-    throw new Error('Page too large to process');
+  if (manifest.error) {
+    manifest.renditions = manifest.renditions.map(r => ({ ...r, initUrl: null, segmentCount: 0, segments: [] }));
+    return manifest;
   }
+  const selected = manifest.renditions.find(r => r.id === renditionId) ?? manifest.renditions[0];
+  manifest.selected = selected.id;
+  manifest.renditions = manifest.renditions.map(r => ({
+    ...r, segmentCount: r.segments.length, segments: r === selected ? r.segments : [],
+  }));
+  return manifest;
+}
 
-  // Find audio URL
-  let audioUrl = null;
-  let foundTag = null;
-  for (const tag of META_TAGS) {
-    audioUrl = extractMeta(html, tag);
-    if (audioUrl) {
-      foundTag = tag;
-      break;
+// --- Podcast feeds (RSS 2.0 / Atom / Podcasting 2.0) ---
+
+const FEED_MAX = 200;
+const MAX_FEED_SIZE = 5 * 1024 * 1024; // 5 MB
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, text/html;q=0.8, */*;q=0.5';
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml'];
+
+/**
+ * Parse XML into a minimal element tree: { name, attrs, children, text }.
+ * Names are lowercased and keep their namespace prefix (itunes:author).
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  for (const token of tokenizeHtml(xml, { xml: true })) {
+    const top = stack[stack.length - 1];
+    if (token.type === 'start') {
+      const el = { name: token.name, attrs: token.attrs, children: [], text: '' };
+      top.children.push(el);
+      if (!token.selfClosing) stack.push(el);
+    } else if (token.type === 'end') {
+      const idx = stack.findLastIndex(el => el.name === token.name);
+      if (idx > 0) stack.length = idx;
+    } else {
+      top.text += token.text;
     }
   }
+  return root;
+}
 
-  if (!audioUrl) {
-    return null;
-  }
+function xmlChild(el, name) {
+  return el?.children.find(c => c.name === name) ?? null;
+}
+
+function xmlChildren(el, name) {
+  return el ? el.children.filter(c => c.name === name) : [];
+}
+
+function xmlText(el, name) {
+  return xmlChild(el, name)?.text.trim() || null;
+}
+
+/**
+ * Parse an itunes:duration value ("HH:MM:SS", "MM:SS" or seconds) into ms.
+ */
+function parseClockDuration(value) {
+  if (!value || !/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(value)) return null;
+  const seconds = value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Math.round(seconds * 1000);
+}
+
+function feedYear(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.getUTCFullYear().toString();
+}
+
+/**
+ * Map one RSS <item> or Atom <entry> to the same shape /api/info returns.
+ * Returns null when the item has no audio enclosure.
+ */
+function feedItemToResult(item, feed, atom) {
+  const audioCandidates = [];
+  const lengths = new Map();
+  const add = (url, mimeType, sourceTag, length) => {
+    if (!url || audioCandidates.some(c => c.url === url)) return;
+    try {
+      url = new URL(url, feed.url).href;
+    } catch {
+      return;
+    }
+    audioCandidates.push({ url, mimeType: mimeType?.toLowerCase() || null, secureUrl: null, sourceTag });
+    if (Number(length) > 0) lengths.set(url, Number(length));
+  };
 
-  // Find title
-  let title = null;
-  for (const tag of TITLE_TAGS) {
-    title = extractMeta(html, tag);
-    if (title) break;
+  if (atom) {
+    for (const link of xmlChildren(item, 'link')) {
+      if (link.attrs.rel === 'enclosure') add(link.attrs.href, link.attrs.type, 'atom:enclosure', link.attrs.length);
+    }
+  } else {
+    for (const enc of xmlChildren(item, 'enclosure')) add(enc.attrs.url, enc.attrs.type, 'rss:enclosure', enc.attrs.length);
   }
-  if (!title) {
-    title = extractTitle(html);
+  for (const alt of xmlChildren(item, 'podcast:alternateenclosure')) {
+    for (const source of xmlChildren(alt, 'podcast:source')) add(source.attrs.uri, alt.attrs.type, 'podcast:alternateEnclosure');
   }
-  title = decodeEntities(title) || 'audio';
+  for (const media of xmlChildren(item, 'media:content')) {
+    if (media.attrs.medium === 'audio' || media.attrs.type?.startsWith('audio/')) add(media.attrs.url, media.attrs.type, 'media:content');
+  }
+  if (audioCandidates.length === 0) return null;
+
+  const ranked = rankAudioCandidates(audioCandidates);
+  const best = ranked[0];
+  const metaSources = { audioUrl: best.sourceTag };
+  const pick = (field, options) => {
+    for (const [source, value] of options) {
+      if (value) {
+        metaSources[field] = source;
+        return value;
+      }
+    }
+    return null;
+  };
+
+  const rawTitle = pick('title', [['feed', decodeEntities(xmlText(item, 'title'))]]);
+  const pickedArtist = pick('artist', [
+    ['itunes:author', xmlText(item, 'itunes:author')],
+    ['feed', atom ? xmlText(xmlChild(item, 'author'), 'name') : xmlText(item, 'dc:creator')],
+    ['itunes:author', feed.artist],
+  ]);
+  const { title, artist } = rawTitle ? cleanTitle(rawTitle, pickedArtist) : { title: 'audio', artist: pickedArtist };
+  if (artist && !pickedArtist) metaSources.artist = 'feed';
+  const album = pick('album', [['feed', feed.title]]);
+  const image = pick('image', [['itunes:image', xmlChild(item, 'itunes:image')?.attrs.href], ['itunes:image', feed.image]]);
+  const durationMs = pick('durationMs', [['itunes:duration', parseClockDuration(xmlText(item, 'itunes:duration'))]]);
+  const year = pick('year', [['feed', feedYear(atom ? xmlText(item, 'published') ?? xmlText(item, 'updated') : xmlText(item, 'pubdate'))]]);
+
+  const link = atom
+    ? xmlChildren(item, 'link').find(l => !l.attrs.rel || l.attrs.rel === 'alternate')?.attrs.href
+    : xmlText(item, 'link');
+
+  const ext = guessExtension(best.url, best.mimeType);
+  const mimeType = MIME_EXTENSIONS[best.mimeType] ? best.mimeType : EXTENSION_MIME_TYPES[ext];
+  const filename = renderFilename(DEFAULT_TEMPLATE, { title, artist, ext });
+
+  return {
+    audioUrl: best.url, title, rawTitle, artist, album, lyrics: null, styleTags: null, displayTags: null, year, durationMs, model: null,
+    filename, mimeType, sizeBytes: lengths.get(best.url) ?? null, image, sourceTag: best.sourceTag, audioCandidates: ranked, metaSources, via: null, pageUrl: link || feed.url,
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document. Returns null if it is neither.
+ */
+function parseFeed(xml, feedUrl) {
+  const doc = parseXml(xml);
+  const rss = xmlChild(doc, 'rss');
+  const atomFeed = xmlChild(doc, 'feed');
+  const channel = rss ? xmlChild(rss, 'channel') : atomFeed;
+  if (!channel) return null;
+
+  const atom = !rss;
+  const feed = {
+    url: feedUrl,
+    title: decodeEntities(xmlText(channel, 'title')),
+    artist: xmlText(channel, 'itunes:author') ?? (atom ? xmlText(xmlChild(channel, 'author'), 'name') : null),
+    image: xmlChild(channel, 'itunes:image')?.attrs.href
+      ?? (atom ? xmlText(channel, 'logo') : xmlText(xmlChild(channel, 'image'), 'url')),
+  };
+
+  const items = xmlChildren(channel, atom ? 'entry' : 'item').slice(0, FEED_MAX);
+  return items.map(item => feedItemToResult(item, feed, atom)).filter(Boolean);
+}
+
+/**
+ * Fetch a feed URL, or a page advertising one via
+ * <link rel="alternate" type="application/rss+xml">, and return one
+ * result per episode. Returns null when no feed can be found.
+ */
+async function fetchFeed(url) {
+  const text = await fetchText(url, { accept: FEED_ACCEPT, maxBytes: MAX_FEED_SIZE, label: 'feed' });
+  const results = parseFeed(text, url);
+  if (results) return results;
+
+  const head = parseHead(text);
+  const link = head.links.find(l => l.rel.split(/\s+/).includes('alternate') && FEED_LINK_TYPES.includes(l.type));
+  if (!link) return null;
+  const feedUrl = new URL(link.href, url).href;
+  const feedText = await fetchText(feedUrl, { accept: FEED_ACCEPT, maxBytes: MAX_FEED_SIZE, label: 'feed' });
+  return parseFeed(feedText, feedUrl);
+}
 
-  // Get image if available
-  const image = extractMeta(html, 'og:image');
+// --- Link discovery ---
 
-  // Extract artist if available
-  const artist = extractArtist(html);
+const DISCOVER_CONCURRENCY = 6;
+const DISCOVER_PATTERN_MAX = 200;
 
-  // Fetch Suno-specific rich metadata (embed page)
-  const sunoMeta = await fetchSunoMeta(url);
-  const lyrics = sunoMeta?.lyrics ?? null;
-  const styleTags = sunoMeta?.styleTags ?? null;
-  const displayTags = sunoMeta?.displayTags ?? null;
-  const year = sunoMeta?.year ?? null;
-  const durationMs = sunoMeta?.durationMs ?? null;
-  const model = sunoMeta?.model ?? null;
+// Links to these are files, not pages that could carry og:audio
+const NON_PAGE_EXTENSIONS = new Set([
+  ...AUDIO_EXTENSIONS, 'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico', 'css', 'js', 'json', 'xml', 'pdf', 'zip', 'txt',
+]);
 
-  const ext = guessExtension(audioUrl);
-  const filenameBase = artist
-    ? `${sanitiseFilename(artist)} - ${sanitiseFilename(title)}`
-    : sanitiseFilename(title);
-  const filename = `${filenameBase}.${ext}`;
+/**
+ * Turn a ?pattern= value into a RegExp tested against each link's path
+ * and query. "/.../flags" is a regex; anything else is a glob, anchored,
+ * where * matches any run of characters and ? any one character.
+ * Returns { re } or { error }.
+ */
+function compileLinkPattern(pattern) {
+  if (pattern.length > DISCOVER_PATTERN_MAX) return { error: `Pattern must be at most ${DISCOVER_PATTERN_MAX} characters` };
+  const literal = pattern.match(/^\/(.+)\/([imsu]*)$/);
+  if (literal) {
+    try { return { re: new RegExp(literal[1], literal[2]) }; } catch { return { error: 'Invalid pattern regex' }; }
+  }
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return { re: new RegExp(`^${source.startsWith('/') ? '' : '/'}${source}$`, 'i') };
+}
 
-  const result = { audioUrl, title, artist, lyrics, styleTags, displayTags, year, durationMs, model, filename, image, sourceTag: foundTag, pageUrl: url };
-  setCache(url, result);
-  return result;
+/**
+ * Collect the distinct same-site page links (<a href>) in a document,
+ * in document order. "Same site" ignores a leading www. Fragments are
+ * dropped, and the page itself and links to plain files are skipped.
+ */
+function extractPageLinks(html, pageUrl, baseHref) {
+  let base = pageUrl;
+  if (baseHref) {
+    try { base = new URL(baseHref, pageUrl).href; } catch {}
+  }
+  const site = (host) => host.replace(/^www\./, '');
+  const page = new URL(pageUrl);
+  page.hash = '';
+
+  const links = [];
+  const seen = new Set([page.href]);
+  for (const token of tokenizeHtml(html)) {
+    if (token.type !== 'start' || token.name !== 'a' || !token.attrs.href) continue;
+    let url;
+    try { url = new URL(token.attrs.href.trim(), base); } catch { continue; }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') continue;
+    if (site(url.hostname) !== site(page.hostname)) continue;
+    if (NON_PAGE_EXTENSIONS.has(urlExtension(url.pathname))) continue;
+    url.hash = '';
+    if (seen.has(url.href)) continue;
+    seen.add(url.href);
+    links.push(url.href);
+  }
+  return links;
 }
 
 /**
- * Fetch all tracks from a public Suno playlist URL.
- * Extracts clip IDs from the playlist page HTML, then fetches each clip
- * from the public studio-api.prod.suno.com/api/clip/{id} endpoint.
- * No authentication required.
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping the
+ * results in input order.
  */
-async function fetchSunoPlaylist(playlistUrl) {
-  const u = new URL(playlistUrl);
-  if (u.hostname !== 'suno.com' && u.hostname !== 'www.suno.com') return null;
-  const parts = u.pathname.split('/').filter(Boolean);
-  if (parts.length < 2 || parts[0] !== 'playlist') return null;
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-  const res = await fetch(playlistUrl, {
-    headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+/**
+ * Fetch an index page and look up every same-site link it has (those
+ * matching `pattern`, if given), at most BATCH_MAX of them.
+ * Returns { pageUrl, checked, truncated, items, cacheStatus }: items holds
+ * a result per page with audio and { url, error } per page that failed;
+ * pages without audio are left out. `cache` is passed to cachedAudioInfo;
+ * `spendPages` is called with the link count before any is looked up.
+ */
+async function discoverAudio(pageUrl, { pattern = null, deep = false, probe = false, debug = false, cache = {}, spendPages = async () => {} } = {}) {
+  const html = await fetchText(pageUrl, { accept: HTML_ACCEPT, maxBytes: MAX_HTML_SIZE });
+  const head = parseHead(html);
+  let links = extractPageLinks(html, pageUrl, head.base);
+  if (pattern) {
+    links = links.filter(link => {
+      const u = new URL(link);
+      return pattern.test(u.pathname + u.search);
+    });
+  }
+  const truncated = links.length > BATCH_MAX;
+  links = links.slice(0, BATCH_MAX);
+  await spendPages(links.length);
+
+  const statuses = [];
+  const results = await mapWithConcurrency(links, DISCOVER_CONCURRENCY, async (link) => {
+    const urlError = validateUrl(link);
+    if (urlError) return { url: link, error: urlError };
+    try {
+      const { info, cacheStatus } = await cachedAudioInfo(link, { deep, probe }, cache);
+      statuses.push(cacheStatus);
+      return withDebug(info, debug, cacheStatus);
+    } catch (err) {
+      if (err.cacheStatus) statuses.push(err.cacheStatus);
+      return { url: link, error: errorDetails(err) };
+    }
   });
-  if (!res.ok) throw new Error('Failed to fetch playlist page: HTTP ' + res.status);
-  const html = await res.text();
 
-  // Extract clip UUIDs from CDN MP3 URLs embedded in the page HTML
-  const cdnRe = /cdn1\.suno\.ai\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.mp3/gi;
-  const seen = new Set();
-  let m;
-  while ((m = cdnRe.exec(html)) !== null) {
-    seen.add(m[1]);
+  return {
+    pageUrl, checked: links.length, truncated, items: results.filter(Boolean),
+    cacheStatus: combineCacheStatus(statuses),
+  };
+}
+
+/**
+ * Read the ?url= and ?template= parameters shared by the single-page
+ * endpoints. A bare host gets https:// prepended. Returns
+ * { targetUrl, template } or { error: { code, message } }.
+ */
+function readTargetParams(url) {
+  const rawUrl = url.searchParams.get('url');
+  if (!rawUrl) {
+    return { error: { code: 'INVALID_REQUEST', message: 'Missing ?url= parameter' } };
   }
-  if (seen.size === 0) throw new Error('No tracks found in this playlist');
 
-  const ids = [...seen];
+  const targetUrl = /^https?:\/\//i.test(rawUrl) ? rawUrl : 'https://' + rawUrl;
+  const urlError = validateUrl(targetUrl);
+  if (urlError) return { error: urlError };
 
-  // Fetch clip metadata from public API in parallel
-  const clips = await Promise.all(ids.map(async (id) => {
-    try {
-      const clipRes = await fetch('https://studio-api.prod.suno.com/api/clip/' + id, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
-      });
-      if (!clipRes.ok) return { error: 'Clip API returned ' + clipRes.status, id };
-      const clip = await clipRes.json();
-
-      const meta = clip.metadata || {};
-      const title = clip.title || ('Track ' + id.slice(0, 8));
-      const artist = clip.display_name || null;
-      const audioUrl = clip.audio_url || ('https://cdn1.suno.ai/' + id + '.mp3');
-      const image = clip.image_large_url || clip.image_url || null;
-      const lyrics = (meta.prompt || '').trim() || null;
-      const styleTags = (meta.tags || '').trim() || null;
-      const displayTags = (clip.display_tags || '').trim() || null;
-      const year = clip.created_at ? new Date(clip.created_at).getFullYear().toString() : null;
-      const durationMs = typeof meta.duration === 'number' ? Math.round(meta.duration * 1000) : null;
-      const model = clip.major_model_version || null;
-      const filenameBase = artist
-        ? sanitiseFilename(artist) + ' - ' + sanitiseFilename(title)
-        : sanitiseFilename(title);
-      const filename = filenameBase + '.mp3';
-      const pageUrl = 'https://suno.com/song/' + id;
-
-      return { audioUrl, title, artist, lyrics, styleTags, displayTags, year, durationMs, model, filename, image, sourceTag: 'suno-playlist', pageUrl };
-    } catch (err) {
-      return { error: err.message, id };
-    }
-  }));
+  const template = url.searchParams.get('template');
+  const templateError = template && validateTemplate(template);
+  if (templateError) {
+    return { error: { code: 'INVALID_REQUEST', message: templateError } };
+  }
 
-  return clips;
+  return { targetUrl, template };
 }
 
 /**
- * Handle Suno playlist requests.
+ * Handle playlist requests. Kept for older clients: returns the bare item
+ * array that /api/collection wraps.
  */
 async function handlePlaylist(request) {
-  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-  if (!checkRateLimit(ip)) {
-    return Response.json({ error: 'Too many requests. Please wait a moment and try again.' }, { status: 429 });
+  const url = new URL(request.url);
+  const { targetUrl, template, error } = readTargetParams(url);
+  if (error) return errorResponse(error.code, error.message);
+
+  try {
+    const playlist = await expandCollection(targetUrl);
+    if (!playlist) return errorResponse('UNSUPPORTED_URL', 'Not a supported playlist URL');
+    return Response.json(nameListItems(playlist.items, template, playlist.title));
+  } catch (err) {
+    return failureResponse(err);
   }
+}
 
+/**
+ * Handle collection requests: a playlist, album or similar page expanded
+ * by its site adapter into { adapter, kind, title, items, truncated }.
+ */
+async function handleCollection(request) {
   const url = new URL(request.url);
-  const targetUrl = url.searchParams.get('url');
-  if (!targetUrl) {
-    return Response.json({ error: 'Missing ?url= parameter' }, { status: 400 });
-  }
+  const { targetUrl, template, error } = readTargetParams(url);
+  if (error) return errorResponse(error.code, error.message);
 
-  let normalizedUrl;
   try {
-    normalizedUrl = /^https?:\/\//i.test(targetUrl) ? targetUrl : 'https://' + targetUrl;
-    new URL(normalizedUrl);
-  } catch {
-    return Response.json({ error: 'Invalid URL' }, { status: 400 });
+    const collection = await expandCollection(targetUrl);
+    if (!collection) {
+      return errorResponse('UNSUPPORTED_URL', 'No site adapter expands this URL into a collection');
+    }
+    return Response.json({ ...collection, items: nameListItems(collection.items, template, collection.title) });
+  } catch (err) {
+    return failureResponse(err);
   }
+}
+
+/**
+ * Handle adapter listing requests. Static, so not rate limited.
+ */
+function handleAdapters() {
+  return Response.json(describeAdapters(), {
+    headers: { 'Cache-Control': 'public, max-age=3600' },
+  });
+}
+
+/**
+ * Handle podcast feed requests.
+ */
+async function handleFeed(request) {
+  const url = new URL(request.url);
+  const { targetUrl, template, error } = readTargetParams(url);
+  if (error) return errorResponse(error.code, error.message);
 
   try {
-    const clips = await fetchSunoPlaylist(normalizedUrl);
-    if (!clips) return Response.json({ error: 'Not a valid Suno playlist URL' }, { status: 400 });
-    return Response.json(clips);
+    const results = await fetchFeed(targetUrl);
+    if (!results) {
+      return errorResponse('NOT_FOUND', 'No RSS or Atom feed found at this URL');
+    }
+    return Response.json(nameListItems(results, template, results[0]?.album));
   } catch (err) {
-    return Response.json({ error: err.message }, { status: 500 });
+    return failureResponse(err);
   }
 }
 
@@ -477,78 +3051,177 @@ const BATCH_MAX = 50;
 
 /**
  * Handle batch API requests.
- * Accepts a JSON array of URLs, counts as one rate-limit token.
+ * Accepts a JSON array of URLs; the rate limit charges per URL.
  */
-async function handleBatch(request) {
-  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-  if (!checkRateLimit(ip)) {
-    return Response.json({ error: 'Too many requests. Please wait a moment and try again.' }, { status: 429 });
-  }
-
+async function handleBatch(request, env, ctx, spendPages) {
   let urls;
   try {
     urls = await request.json();
   } catch {
-    return Response.json({ error: 'Invalid JSON body' }, { status: 400 });
+    return errorResponse('INVALID_REQUEST', 'Invalid JSON body');
   }
 
   if (!Array.isArray(urls) || urls.length === 0) {
-    return Response.json({ error: 'Body must be a non-empty JSON array of URLs' }, { status: 400 });
+    return errorResponse('INVALID_REQUEST', 'Body must be a non-empty JSON array of URLs');
   }
 
   if (urls.length > BATCH_MAX) {
-    return Response.json({ error: 'Maximum ' + BATCH_MAX + ' URLs per batch request' }, { status: 400 });
+    return errorResponse('INVALID_REQUEST', 'Maximum ' + BATCH_MAX + ' URLs per batch request');
+  }
+
+  const params = new URL(request.url).searchParams;
+  const deep = params.get('deep') === '1';
+  const probe = params.get('probe') === '1';
+  const debug = params.get('debug') === '1';
+  const cache = { env, ctx, nocache: params.get('nocache') === '1' };
+  const template = params.get('template');
+  const templateError = template && validateTemplate(template);
+  if (templateError) {
+    return errorResponse('INVALID_REQUEST', templateError);
+  }
+
+  try {
+    await spendPages(urls.length);
+  } catch (err) {
+    return failureResponse(err);
   }
 
+  const statuses = [];
   const results = await Promise.all(urls.map(async (raw) => {
     const normalized = typeof raw === 'string' && /^https?:\/\//i.test(raw) ? raw : 'https://' + raw;
     const urlError = validateUrl(normalized);
     if (urlError) return { url: raw, error: urlError };
     try {
-      const info = await extractAudioInfo(normalized);
-      if (!info) return { url: raw, error: 'No og:audio or twitter:player:stream meta tag found on this page' };
-      return info;
+      const { info, cacheStatus } = await cachedAudioInfo(normalized, { deep, probe }, cache);
+      statuses.push(cacheStatus);
+      if (!info) return { url: raw, error: { code: 'NO_AUDIO_TAG', message: 'No og:audio or twitter:player:stream meta tag found on this page' } };
+      return withDebug(info, debug, cacheStatus);
     } catch (err) {
-      return { url: raw, error: err.message };
+      if (err.cacheStatus) statuses.push(err.cacheStatus);
+      return { url: raw, error: errorDetails(err) };
     }
   }));
 
-  return Response.json(results);
+  return Response.json(nameListItems(results, template), {
+    headers: { 'X-Cache': combineCacheStatus(statuses) },
+  });
 }
 
 /**
- * Handle API info requests.
+ * Handle link discovery requests: every same-site page linked from an
+ * index page, looked up like a batch.
  */
-async function handleInfo(request) {
-  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-  if (!checkRateLimit(ip)) {
-    return Response.json({ error: 'Too many requests. Please wait a moment and try again.' }, { status: 429 });
-  }
-
+async function handleDiscover(request, env, ctx, spendPages) {
   const url = new URL(request.url);
-  const targetUrl = url.searchParams.get('url');
+  const { targetUrl, template, error } = readTargetParams(url);
+  if (error) return errorResponse(error.code, error.message);
 
-  if (!targetUrl) {
-    return Response.json({ error: 'Missing ?url= parameter' }, { status: 400 });
+  const rawPattern = url.searchParams.get('pattern');
+  const compiled = rawPattern ? compileLinkPattern(rawPattern) : { re: null };
+  if (compiled.error) {
+    return errorResponse('INVALID_REQUEST', compiled.error);
   }
 
-  // Auto-prepend https:// if no protocol given
-  const normalizedUrl = /^https?:\/\//i.test(targetUrl) ? targetUrl : 'https://' + targetUrl;
+  const deep = url.searchParams.get('deep') === '1';
+  const probe = url.searchParams.get('probe') === '1';
+  const debug = url.searchParams.get('debug') === '1';
+  const cache = { env, ctx, nocache: url.searchParams.get('nocache') === '1' };
 
-  const urlError = validateUrl(normalizedUrl);
-  if (urlError) {
-    return Response.json({ error: urlError }, { status: 400 });
+  try {
+    const { cacheStatus, ...discovered } = await discoverAudio(targetUrl, { pattern: compiled.re, deep, probe, debug, cache, spendPages });
+    return Response.json({ ...discovered, items: nameListItems(discovered.items, template) }, {
+      headers: { 'X-Cache': cacheStatus },
+    });
+  } catch (err) {
+    return failureResponse(err);
   }
+}
+
+/**
+ * Handle API info requests.
+ */
+async function handleInfo(request, env, ctx) {
+  const url = new URL(request.url);
+  const { targetUrl, template, error } = readTargetParams(url);
+  if (error) return errorResponse(error.code, error.message);
+
+  const deep = url.searchParams.get('deep') === '1';
+  const probe = url.searchParams.get('probe') === '1';
+  const rendition = url.searchParams.get('rendition') || null;
+  const nocache = url.searchParams.get('nocache') === '1';
+  const debug = url.searchParams.get('debug') === '1';
 
   try {
-    const info = await extractAudioInfo(normalizedUrl);
+    const { info, cacheStatus } = await cachedAudioInfo(targetUrl, { deep, probe, rendition }, { env, ctx, nocache });
+    const headers = { 'X-Cache': cacheStatus };
     if (!info) {
-      return Response.json({ error: 'No og:audio or twitter:player:stream meta tag found on this page' }, { status: 404 });
+      return errorResponse('NO_AUDIO_TAG', 'No og:audio or twitter:player:stream meta tag found on this page', headers);
     }
-    return Response.json(info);
+    return Response.json(applyTemplate(withDebug(info, debug, cacheStatus), template), { headers });
   } catch (err) {
-    return Response.json({ error: err.message }, { status: 502 });
+    return failureResponse(err, { 'X-Cache': err.cacheStatus || 'MISS' });
+  }
+}
+
+/**
+ * Handle API key management (ADMIN_TOKEN only):
+ *   POST   /api/keys       — create a key; the only response with the secret
+ *   GET    /api/keys       — list keys with their usage
+ *   GET    /api/keys/<id>  — one key with its usage
+ *   DELETE /api/keys/<id>  — revoke a key (the record stays for its history)
+ */
+async function handleKeys(request, env) {
+  if (!env?.API_KEYS || !env.ADMIN_TOKEN) {
+    return errorResponse('NOT_FOUND', 'Key management is not configured on this server');
+  }
+  const token = bearerToken(request);
+  if (!token || !digestsEqual(await sha256Hex(token), await sha256Hex(env.ADMIN_TOKEN))) {
+    return errorResponse('UNAUTHORIZED', 'Admin token required', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const { pathname } = new URL(request.url);
+  if (pathname === '/api/keys') {
+    if (request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return errorResponse('INVALID_REQUEST', 'Invalid JSON body');
+      }
+      const settings = parseKeySettings(body);
+      if (settings.error) return errorResponse('INVALID_REQUEST', settings.error);
+
+      const id = randomHex(8);
+      const secret = 'oad_' + id + '_' + randomBase64Url(24);
+      const key = { id, ...settings, createdAt: new Date().toISOString(), revokedAt: null, hash: await sha256Hex(secret) };
+      await env.API_KEYS.put('apikey:' + id, JSON.stringify(key));
+      return Response.json({ key: secret, ...describeKey(key, await readUsage(env, id)) }, { status: 201 });
+    }
+    if (request.method === 'GET') {
+      const { keys: names } = await env.API_KEYS.list({ prefix: 'apikey:' });
+      const keys = await Promise.all(names.map(async ({ name }) => {
+        const key = await env.API_KEYS.get(name, 'json');
+        return key && describeKey(key, await readUsage(env, key.id));
+      }));
+      return Response.json({ keys: keys.filter(Boolean) });
+    }
+    return errorResponse('METHOD_NOT_ALLOWED', 'Method not allowed', { Allow: 'GET, POST' });
   }
+
+  const id = /^\/api\/keys\/([0-9a-f]{16})$/.exec(pathname)?.[1];
+  const key = id && await env.API_KEYS.get('apikey:' + id, 'json');
+  if (!key) return errorResponse('NOT_FOUND', 'No such API key');
+  if (request.method === 'GET') {
+    return Response.json(describeKey(key, await readUsage(env, id)));
+  }
+  if (request.method === 'DELETE') {
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      await env.API_KEYS.put('apikey:' + id, JSON.stringify(key));
+    }
+    return Response.json(describeKey(key, await readUsage(env, id)));
+  }
+  return errorResponse('METHOD_NOT_ALLOWED', 'Method not allowed', { Allow: 'GET, DELETE' });
 }
 
 /**
@@ -1352,9 +4025,23 @@ const FRONTEND_HTML = `<!DOCTYPE html>
     <textarea id="url" placeholder="Paste a song or playlist URL..." autocomplete="off" spellcheck="false" disabled rows="1" aria-describedby="batch-hint"></textarea>
     <button id="go" onclick="lookup()" disabled aria-label="Fetch audio metadata">Fetch</button>
   </div>
-  <p class="batch-hint" id="batch-hint">Paste multiple URLs (one per line) to batch download. Suno playlist URLs download all tracks at once.</p>
+  <p class="batch-hint" id="batch-hint">Paste multiple URLs (one per line) to batch download. Suno playlist and profile, Bandcamp album and podcast feed URLs download all tracks at once.</p>
+
+  <div class="agree-row">
+    <input type="checkbox" id="deep" aria-describedby="deep-desc">
+    <label for="deep" id="deep-desc">Also look for audio players embedded in the page (for sites without <code>og:audio</code> tags)</label>
+  </div>
+
+  <div class="filename-row">
+    <label for="template" class="sr-only">Filename template</label>
+    <input class="filename-input" type="text" id="template" spellcheck="false" placeholder="Filename template, e.g. {artist} - {title}.{ext}" aria-describedby="template-desc">
+  </div>
+  <p class="batch-hint" id="template-desc">Fields: {title} {artist} {album} {year} {model} {track} {playlist} {host} {ext}. {track:02} pads numbers. Saved in this browser.</p>
 
   <div class="error" id="error" role="alert" aria-live="assertive"></div>
+  <div class="download-btn-row" id="discover-row" style="display:none;margin-top:0.75rem">
+    <button class="meta-btn" id="discover-btn" onclick="discoverCurrent()">Find all audio on this page</button>
+  </div>
 
   <div class="loading" id="loading" role="status" aria-live="polite">
     <span class="spinner" aria-hidden="true"></span> Fetching page metadata...
@@ -1371,12 +4058,22 @@ const FRONTEND_HTML = `<!DOCTYPE html>
         <div class="result-title" id="result-title"></div>
         <div class="result-meta" id="result-meta"></div>
         <div class="result-meta" id="result-suno-badge" style="display:none;color:#6ea8fe;font-size:0.75rem;margin-top:2px">Enhanced for Suno - metadata embedded in file</div>
+        <div class="result-meta" id="result-lineage" style="display:none"></div>
       </div>
     </div>
     <audio class="result-audio" id="result-audio" controls preload="none" aria-label="Audio preview"></audio>
+    <div class="filename-row" id="result-candidates-row" style="display:none">
+      <label for="result-candidate" class="sr-only">Audio source</label>
+      <select class="filename-input" id="result-candidate" onchange="selectCurrentCandidate()"></select>
+    </div>
+    <div class="filename-row" id="result-renditions-row" style="display:none">
+      <label for="result-rendition" class="sr-only">Stream rendition</label>
+      <select class="filename-input" id="result-rendition" onchange="selectCurrentRendition()"></select>
+    </div>
+    <div class="result-meta" id="result-stream-note" style="display:none;color:#ef4444"></div>
     <div class="filename-row">
       <label for="result-filename" class="sr-only">Filename</label>
-      <input class="filename-input" type="text" id="result-filename" spellcheck="false" aria-label="Edit filename before download">
+      <input class="filename-input" type="text" id="result-filename" spellcheck="false" aria-label="Edit filename before download" oninput="updateCurrentLabel()">
     </div>
     <div class="download-btn-row">
       <button class="download-btn" id="result-download" onclick="downloadCurrent()">Download MP3</button>
@@ -1574,21 +4271,89 @@ function parseUrls(text) {
   return text.split('\\n').map(s => normalizeUrl(s)).filter(s => s && s.startsWith('http'));
 }
 
+const deepBox = document.getElementById('deep');
+
+function deepParam() {
+  return deepBox.checked ? '&deep=1' : '';
+}
+
+const TEMPLATE_KEY = 'og-audio-dl-template';
+const templateInput = document.getElementById('template');
+templateInput.value = localStorage.getItem(TEMPLATE_KEY) || '';
+templateInput.addEventListener('change', () => {
+  const value = templateInput.value.trim();
+  if (value) localStorage.setItem(TEMPLATE_KEY, value);
+  else localStorage.removeItem(TEMPLATE_KEY);
+});
+
+function templateParam() {
+  const value = templateInput.value.trim();
+  return value ? '&template=' + encodeURIComponent(value) : '';
+}
+
+// API errors are { code, message }
+function errorText(error) {
+  return (error && error.message) || String(error || 'Something went wrong');
+}
+
+function apiError(res, data, fallback) {
+  const err = new Error(data.error ? errorText(data.error) : fallback);
+  err.status = res.status;
+  err.code = data.error && data.error.code;
+  if (res.status === 429) err.retryAfter = Number(res.headers.get('Retry-After')) || 60;
+  return err;
+}
+
+let retryTimer = null;
+
+// RATE_LIMITED counts down to when the limit resets, with Go disabled.
+// Other errors, QUOTA_EXCEEDED included, show the server's message: a
+// quota can take a day or more to reset.
+function showError(err) {
+  clearInterval(retryTimer);
+  retryTimer = null;
+  errorEl.classList.add('visible');
+  if (!err.retryAfter || err.code !== 'RATE_LIMITED') {
+    errorEl.textContent = err.message;
+    return;
+  }
+  let left = err.retryAfter;
+  const tick = () => {
+    if (left <= 0) {
+      clearInterval(retryTimer);
+      retryTimer = null;
+      errorEl.textContent = 'You can try again now.';
+      goBtn.disabled = !agreeBox.checked;
+      return;
+    }
+    errorEl.textContent = 'Too many requests. Try again in ' + left + 's.';
+    goBtn.disabled = true;
+    left--;
+  };
+  retryTimer = setInterval(tick, 1000);
+  tick();
+}
+
+function enableGo() {
+  goBtn.disabled = retryTimer !== null;
+}
+
 async function fetchOne(url) {
-  const res = await fetch('/api/info?url=' + encodeURIComponent(url));
+  const res = await fetch('/api/info?url=' + encodeURIComponent(url) + deepParam() + '&probe=1' + templateParam());
   const data = await res.json();
-  if (!res.ok) throw new Error(data.error || 'Something went wrong');
+  if (!res.ok) throw apiError(res, data, 'Something went wrong');
   return data;
 }
 
 async function fetchBatch(urls) {
-  const res = await fetch('/api/batch', {
+  const query = deepParam() + templateParam();
+  const res = await fetch('/api/batch' + query.replace(/^&/, '?'), {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(urls),
   });
   const data = await res.json();
-  if (!res.ok) throw new Error(data.error || 'Batch request failed');
+  if (!res.ok) throw apiError(res, data, 'Batch request failed');
   return data;
 }
 
@@ -1597,7 +4362,7 @@ let currentData = null;
 
 function showSingleResult(data, url) {
   document.getElementById('result-title').textContent = data.title;
-  document.getElementById('result-meta').textContent = 'Found via ' + data.sourceTag;
+  document.getElementById('result-meta').textContent = 'Found via ' + data.sourceTag + (data.via ? ' on the twitter:player page' : '') + sizeSuffix(data);
 
   const art = document.getElementById('result-art');
   if (data.image) { art.src = data.image; art.style.display = 'block'; }
@@ -1607,10 +4372,36 @@ function showSingleResult(data, url) {
 
   const fnInput = document.getElementById('result-filename');
   fnInput.value = data.filename;
+  updateCurrentLabel();
 
   currentAudioUrl = data.audioUrl;
   currentData = data;
 
+  const candidates = data.audioCandidates || [];
+  const candidatesRow = document.getElementById('result-candidates-row');
+  if (candidates.length > 1) {
+    fillSelect(document.getElementById('result-candidate'), candidates, candidateLabel);
+    candidatesRow.style.display = '';
+  } else {
+    candidatesRow.style.display = 'none';
+  }
+
+  const manifest = data.manifest;
+  const renditionsRow = document.getElementById('result-renditions-row');
+  const streamNote = document.getElementById('result-stream-note');
+  if (manifest && !manifest.error && manifest.renditions.length > 1) {
+    fillSelect(document.getElementById('result-rendition'), manifest.renditions, renditionLabel);
+    renditionsRow.style.display = '';
+  } else {
+    renditionsRow.style.display = 'none';
+  }
+  streamNote.textContent = manifest && manifest.error ? manifest.error : '';
+  streamNote.style.display = streamNote.textContent ? '' : 'none';
+
+  const lineageEl = document.getElementById('result-lineage');
+  lineageEl.innerHTML = lineageHtml(data.lineage);
+  lineageEl.style.display = data.lineage ? '' : 'none';
+
   const hasSunoMeta = data.lyrics || data.styleTags || data.displayTags || data.year;
   const sunoBadge = document.getElementById('result-suno-badge');
   if (hasSunoMeta) {
@@ -1618,6 +4409,7 @@ function showSingleResult(data, url) {
     if (data.displayTags) parts.push(data.displayTags);
     if (data.year) parts.push(data.year);
     if (data.model) parts.push(data.model);
+    if (data.instrumental) parts.push('instrumental');
     sunoBadge.textContent = 'Suno' + (parts.length ? ' - ' + parts.join(' - ') : '');
     sunoBadge.style.display = '';
   } else {
@@ -1650,12 +4442,20 @@ async function writeId3Tags(arrayBuffer, meta) {
     const writer = new ID3Writer(arrayBuffer);
     if (meta.title) writer.setFrame('TIT2', meta.title);
     if (meta.artist) writer.setFrame('TPE1', [meta.artist]);
+    if (meta.album) writer.setFrame('TALB', meta.album);
+    if (meta.trackNumber) writer.setFrame('TRCK', meta.trackNumber + (meta.trackTotal ? '/' + meta.trackTotal : ''));
     if (meta.lyrics) writer.setFrame('USLT', { description: '', lyrics: meta.lyrics, language: 'eng' });
     if (meta.displayTags) writer.setFrame('TCON', [meta.displayTags]);
     if (meta.year) writer.setFrame('TYER', meta.year);
     if (meta.durationMs) writer.setFrame('TLEN', meta.durationMs);
     if (meta.styleTags) writer.setFrame('COMM', { description: 'Style prompt', text: meta.styleTags, language: 'eng' });
     if (meta.model) writer.setFrame('TSSE', 'Suno ' + meta.model);
+    // One TXXX frame per kind of link; several parents share a frame
+    const lineage = {};
+    lineageRows(meta.lineage).forEach(([label, text, url]) => {
+      (lineage[label] = lineage[label] || []).push(url || text);
+    });
+    Object.keys(lineage).forEach(label => writer.setFrame('TXXX', { description: 'Suno ' + label.toLowerCase(), value: lineage[label].join(', ') }));
     if (meta.image) {
       try {
         const imgRes = await fetch(meta.image);
@@ -1673,7 +4473,138 @@ async function writeId3Tags(arrayBuffer, meta) {
   }
 }
 
-async function clientDownload(audioUrl, filename, btn, meta) {
+function saveBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(a.href);
+}
+
+// MPEG-TS stream types the demuxer can pull audio out of
+const TS_AUDIO_TYPES = { 0x0f: 'aac', 0x03: 'mp3', 0x04: 'mp3' };
+
+// Pull the audio elementary stream out of joined MPEG-TS segments: the
+// PAT gives the PMT, the PMT the first AAC (ADTS) or MPEG audio stream,
+// and that stream's PES payloads are concatenated. Returns { bytes, ext }.
+function demuxTs(bytes) {
+  const sectionLength = (at) => ((bytes[at + 1] & 0x0f) << 8) | bytes[at + 2];
+  const pidAt = (at) => ((bytes[at] & 0x1f) << 8) | bytes[at + 1];
+  let pmtPid = -1, audioPid = -1, ext = null;
+  const otherTypes = [];
+  const payloads = [];
+  let size = 0;
+  for (let p = 0; p + 188 <= bytes.length; p += 188) {
+    if (bytes[p] !== 0x47) throw new Error('This stream is not valid MPEG-TS');
+    const pid = pidAt(p + 1);
+    const unitStart = (bytes[p + 1] & 0x40) !== 0;
+    const control = (bytes[p + 3] >> 4) & 3;
+    const end = p + 188;
+    let off = p + 4;
+    if (control & 2) off += 1 + bytes[off];
+    if (!(control & 1) || off >= end) continue;
+
+    if (pid === 0 && unitStart && pmtPid < 0) {
+      off += 1 + bytes[off];
+      const last = off + 3 + sectionLength(off) - 4;
+      for (let i = off + 8; i + 4 <= last; i += 4) {
+        if ((bytes[i] << 8 | bytes[i + 1]) !== 0) { pmtPid = pidAt(i + 2); break; }
+      }
+    } else if (pid === pmtPid && unitStart && audioPid < 0) {
+      off += 1 + bytes[off];
+      const last = off + 3 + sectionLength(off) - 4;
+      for (let i = off + 12 + sectionLength(off + 9); i + 5 <= last; i += 5 + sectionLength(i + 2)) {
+        if (TS_AUDIO_TYPES[bytes[i]]) {
+          audioPid = pidAt(i + 1);
+          ext = TS_AUDIO_TYPES[bytes[i]];
+          break;
+        }
+        otherTypes.push('0x' + bytes[i].toString(16));
+      }
+    } else if (pid === audioPid) {
+      if (unitStart) off += 9 + bytes[off + 8];
+      if (off < end) {
+        payloads.push(bytes.subarray(off, end));
+        size += end - off;
+      }
+    }
+  }
+  if (!ext) {
+    throw new Error(otherTypes.length === 0
+      ? 'No audio found in this MPEG-TS stream'
+      : 'This MPEG-TS stream has no AAC or MP3 audio (stream types ' + otherTypes.join(', ') + ')');
+  }
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const chunk of payloads) {
+    out.set(chunk, at);
+    at += chunk.byteLength;
+  }
+  return { bytes: out, ext };
+}
+
+// Only the selected rendition comes with its segment list; another one
+// is looked up again when it is downloaded
+async function fetchRendition(pageUrl, manifestUrl, id) {
+  const res = await fetch('/api/info?url=' + encodeURIComponent(pageUrl) + deepParam() + '&rendition=' + encodeURIComponent(id));
+  const data = await res.json();
+  if (!res.ok) throw apiError(res, data, 'Could not load this rendition');
+  const rendition = data.manifest && data.manifest.url === manifestUrl && data.manifest.selected === id
+    ? data.manifest.renditions.find(r => r.id === id)
+    : null;
+  if (!rendition) throw new Error('This rendition is no longer in the stream');
+  return rendition;
+}
+
+// Fetch every segment of an HLS/DASH rendition (init segment first) and
+// join them into one file; MPEG-TS is demuxed to its audio. Protected or
+// live streams are refused outright.
+async function downloadStream(manifest, rendition, filename, btn, pageUrl) {
+  const origText = btn.textContent;
+  btn.disabled = true;
+  try {
+    if (manifest.error || manifest.encrypted || !rendition) {
+      throw new Error(manifest.error || 'This stream cannot be downloaded');
+    }
+    if (rendition.id !== manifest.selected) {
+      btn.textContent = 'Loading rendition...';
+      rendition = await fetchRendition(pageUrl, manifest.url, rendition.id);
+    }
+    const parts = (rendition.initUrl ? [{ url: rendition.initUrl, range: null }] : []).concat(rendition.segments);
+    const buffers = new Array(parts.length);
+    let done = 0;
+    btn.textContent = 'Downloading 0/' + parts.length + '...';
+    for (let i = 0; i < parts.length; i += 4) {
+      await Promise.all(parts.slice(i, i + 4).map(async (part, k) => {
+        const res = await fetch(part.url, part.range ? { headers: { Range: part.range } } : undefined);
+        if (!res.ok) throw new Error('Stream segment failed to download (HTTP ' + res.status + ')');
+        buffers[i + k] = await res.arrayBuffer();
+        done++;
+        btn.textContent = 'Downloading ' + done + '/' + parts.length + '...';
+      }));
+    }
+    if (rendition.container === 'mpegts') {
+      const joined = new Uint8Array(await new Blob(buffers).arrayBuffer());
+      const audio = demuxTs(joined);
+      saveBlob(new Blob([audio.bytes], { type: EXT_MIME_TYPES[audio.ext] }), filename.replace(/\\.[a-z0-9]+$/i, '') + '.' + audio.ext);
+    } else {
+      saveBlob(new Blob(buffers, { type: rendition.mimeType }), filename);
+    }
+  } catch (err) {
+    errorEl.textContent = err.message.startsWith('Failed to fetch') ? 'The stream host does not allow browser downloads (CORS)' : err.message;
+    errorEl.classList.add('visible');
+  } finally {
+    btn.textContent = origText;
+    btn.disabled = false;
+  }
+}
+
+async function clientDownload(audioUrl, filename, btn, meta, renditionIndex) {
+  if (meta && meta.manifest && meta.manifest.url === audioUrl) {
+    return downloadStream(meta.manifest, meta.manifest.renditions[renditionIndex || 0], filename, btn, meta.pageUrl);
+  }
   const origText = btn.textContent;
   btn.textContent = 'Downloading...';
   btn.disabled = true;
@@ -1686,14 +4617,7 @@ async function clientDownload(audioUrl, filename, btn, meta) {
       const tagged = await writeId3Tags(buf, meta);
       if (tagged) buf = tagged;
     }
-    const blob = new Blob([buf], { type: 'audio/mpeg' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(a.href);
+    saveBlob(new Blob([buf], { type: blobType(filename, audioUrl, meta) }), filename);
     btn.textContent = origText;
   } catch (err) {
     // CORS or network error - fall back to direct link (browser handles download)
@@ -1711,10 +4635,95 @@ async function clientDownload(audioUrl, filename, btn, meta) {
   }
 }
 
+function guessExt(url) {
+  const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return ['mp3', 'mp4', 'm4a', 'wav', 'ogg', 'flac', 'aac', 'opus', 'wma', 'webm'].includes(ext) ? ext : 'mp3';
+}
+
+const EXT_MIME_TYPES = {
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', mp4: 'audio/mp4', aac: 'audio/aac', ogg: 'audio/ogg', opus: 'audio/ogg',
+  flac: 'audio/flac', wav: 'audio/wav', webm: 'audio/webm', wma: 'audio/x-ms-wma',
+};
+
+// The server's (probed) type when saving the URL it describes, else
+// whatever the chosen filename's extension implies.
+function blobType(filename, audioUrl, meta) {
+  if (meta && meta.mimeType && meta.audioUrl === audioUrl) return meta.mimeType;
+  return EXT_MIME_TYPES[guessExt(filename)] || 'application/octet-stream';
+}
+
+function downloadLabel(filename) {
+  return 'Download ' + guessExt(filename).toUpperCase();
+}
+
+function sizeSuffix(data) {
+  if (!data.sizeBytes) return '';
+  const mb = data.sizeBytes / 1048576;
+  return ' - ' + (mb >= 1 ? mb.toFixed(1) + ' MB' : Math.max(1, Math.round(data.sizeBytes / 1024)) + ' KB');
+}
+
+function candidateUrl(c) {
+  return c.secureUrl || c.url;
+}
+
+function candidateLabel(c) {
+  const url = candidateUrl(c);
+  let name = url;
+  try {
+    const u = new URL(url);
+    name = u.hostname + ' ' + decodeURIComponent(u.pathname.split('/').pop() || '');
+  } catch {}
+  return (c.mimeType || guessExt(url).toUpperCase()) + ' - ' + name + ' (' + c.sourceTag + ')';
+}
+
+function renditionLabel(r) {
+  const parts = [r.name || r.language || r.id];
+  if (r.codec) parts.push(r.codec);
+  if (r.bitrate) parts.push(Math.round(r.bitrate / 1000) + ' kbps');
+  parts.push(r.ext.toUpperCase());
+  return parts.join(' - ');
+}
+
+function fillSelect(select, items, label) {
+  select.innerHTML = '';
+  items.forEach((item, i) => {
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = label(item);
+    select.appendChild(opt);
+  });
+}
+
+function filenameForCandidate(filename, c, manifest) {
+  const url = candidateUrl(c);
+  const ext = manifest && manifest.url === url && manifest.renditions.length ? manifest.renditions[0].ext : guessExt(url);
+  return filename.replace(/\\.[a-z0-9]+$/i, '') + '.' + ext;
+}
+
+function selectCurrentCandidate() {
+  const c = currentData.audioCandidates[document.getElementById('result-candidate').value];
+  const fnInput = document.getElementById('result-filename');
+  currentAudioUrl = candidateUrl(c);
+  document.getElementById('result-audio').src = currentAudioUrl;
+  fnInput.value = filenameForCandidate(fnInput.value, c, currentData.manifest);
+  updateCurrentLabel();
+}
+
+function selectCurrentRendition() {
+  const r = currentData.manifest.renditions[document.getElementById('result-rendition').value];
+  const fnInput = document.getElementById('result-filename');
+  fnInput.value = fnInput.value.replace(/\\.[a-z0-9]+$/i, '') + '.' + r.ext;
+  updateCurrentLabel();
+}
+
+function updateCurrentLabel() {
+  document.getElementById('result-download').textContent = downloadLabel(document.getElementById('result-filename').value);
+}
+
 function downloadCurrent() {
   const fn = document.getElementById('result-filename').value;
   const btn = document.getElementById('result-download');
-  clientDownload(currentAudioUrl, fn, btn, currentData);
+  clientDownload(currentAudioUrl, fn, btn, currentData, Number(document.getElementById('result-rendition').value) || 0);
 }
 
 function downloadCurrentMetadata() {
@@ -1727,10 +4736,14 @@ function downloadMetadata(meta, baseFilename) {
   const lines = [];
   if (meta.title)       lines.push('Title: ' + meta.title);
   if (meta.artist)      lines.push('Artist: ' + meta.artist);
+  if (meta.album)       lines.push('Album: ' + meta.album);
+  if (meta.trackNumber) lines.push('Track: ' + meta.trackNumber + (meta.trackTotal ? ' of ' + meta.trackTotal : ''));
   if (meta.year)        lines.push('Year: ' + meta.year);
   if (meta.styleTags)   lines.push('Style prompt: ' + meta.styleTags);
   if (meta.displayTags) lines.push('Genre: ' + meta.displayTags);
   if (meta.model)       lines.push('Model: Suno ' + meta.model);
+  if (meta.instrumental) lines.push('Instrumental: yes');
+  lineageRows(meta.lineage).forEach(([label, text, url]) => lines.push(label + ': ' + (url || text)));
   if (meta.durationMs)  lines.push('Duration: ' + Math.round(meta.durationMs / 1000) + 's');
   if (meta.pageUrl)     lines.push('URL: ' + meta.pageUrl);
   if (meta.lyrics) {
@@ -1742,7 +4755,7 @@ function downloadMetadata(meta, baseFilename) {
   const blob = new Blob([txt], { type: 'text/plain' });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = baseFilename.replace(/\.mp3$/i, '') + '.txt';
+  a.download = baseFilename.replace(/\\.[a-z0-9]+$/i, '') + '.txt';
   document.body.appendChild(a);
   a.click();
   a.remove();
@@ -1764,42 +4777,148 @@ function buildResultCard(data, url) {
       imgHtml +
       '<div class="result-info">' +
         '<div class="result-title">' + escHtml(data.title) + '</div>' +
-        '<div class="result-meta">Found via ' + escHtml(data.sourceTag) + '</div>' +
+        '<div class="result-meta">Found via ' + escHtml(data.sourceTag) + (data.via ? ' on the twitter:player page' : '') + sizeSuffix(data) + '</div>' +
+        (data.lineage ? '<div class="result-meta">' + lineageHtml(data.lineage) + '</div>' : '') +
       '</div>' +
     '</div>' +
     '<audio class="result-audio" controls preload="none" src="' + escHtml(data.audioUrl) + '" aria-label="Preview ' + escHtml(data.title) + '"></audio>' +
+    (data.audioCandidates && data.audioCandidates.length > 1
+      ? '<div class="filename-row"><select class="filename-input candidate-select" aria-label="Audio source for ' + escHtml(data.title) + '"></select></div>'
+      : '') +
+    (data.manifest && !data.manifest.error && data.manifest.renditions.length > 1
+      ? '<div class="filename-row"><select class="filename-input rendition-select" aria-label="Stream rendition for ' + escHtml(data.title) + '"></select></div>'
+      : '') +
+    (data.manifest && data.manifest.error
+      ? '<div class="result-meta" style="color:#ef4444">' + escHtml(data.manifest.error) + '</div>'
+      : '') +
     '<div class="filename-row">' +
       '<input class="filename-input" type="text" value="' + escHtml(data.filename) + '" spellcheck="false" aria-label="Filename for ' + escHtml(data.title) + '">' +
     '</div>' +
     '<div class="download-btn-row">' +
-      '<button class="download-btn" aria-label="Download ' + escHtml(data.title) + '">Download MP3</button>' +
+      '<button class="download-btn" aria-label="Download ' + escHtml(data.title) + '">' + downloadLabel(data.filename) + '</button>' +
       '<button class="meta-btn" aria-label="Download metadata for ' + escHtml(data.title) + '">Metadata</button>' +
     '</div>';
 
-  const fnInput = card.querySelector('.filename-input');
+  const fnInput = card.querySelector('input.filename-input');
   const dlBtn = card.querySelector('.download-btn');
   const metaBtn = card.querySelector('.meta-btn');
-  dlBtn.onclick = () => clientDownload(data.audioUrl, fnInput.value, dlBtn, data);
+  const audioEl = card.querySelector('.result-audio');
+  const candidateSelect = card.querySelector('.candidate-select');
+  const renditionSelect = card.querySelector('.rendition-select');
+  let audioUrl = data.audioUrl;
+  if (candidateSelect) {
+    fillSelect(candidateSelect, data.audioCandidates, candidateLabel);
+    candidateSelect.onchange = () => {
+      const c = data.audioCandidates[candidateSelect.value];
+      audioUrl = candidateUrl(c);
+      audioEl.src = audioUrl;
+      fnInput.value = filenameForCandidate(fnInput.value, c, data.manifest);
+      dlBtn.textContent = downloadLabel(fnInput.value);
+    };
+  }
+  if (renditionSelect) {
+    fillSelect(renditionSelect, data.manifest.renditions, renditionLabel);
+    renditionSelect.onchange = () => {
+      const r = data.manifest.renditions[renditionSelect.value];
+      fnInput.value = fnInput.value.replace(/\\.[a-z0-9]+$/i, '') + '.' + r.ext;
+      dlBtn.textContent = downloadLabel(fnInput.value);
+    };
+  }
+  fnInput.oninput = () => { dlBtn.textContent = downloadLabel(fnInput.value); };
+  dlBtn.onclick = () => clientDownload(audioUrl, fnInput.value, dlBtn, data, renditionSelect ? Number(renditionSelect.value) : 0);
   metaBtn.onclick = () => downloadMetadata(data, fnInput.value);
 
   saveHistory(data, url);
   return card;
 }
 
+// Suno lineage as [label, text, url] rows for the card, ID3 tags and sidecar
+function lineageRows(lineage) {
+  if (!lineage) return [];
+  const rows = [];
+  const clip = (label, ref) => { if (ref) rows.push([label, ref.id, ref.pageUrl]); };
+  lineage.extends.forEach(ref => clip('Extends', ref));
+  clip('Cover of', lineage.coverOf);
+  clip('Remix of', lineage.remixOf);
+  clip('Upsampled from', lineage.upsampleOf);
+  clip('Edited from', lineage.editedFrom);
+  if (lineage.editedSection) rows.push(['Edited section', lineage.editedSection.startS + 's - ' + lineage.editedSection.endS + 's', null]);
+  if (lineage.persona) rows.push(['Persona', lineage.persona.name || lineage.persona.id, null]);
+  return rows;
+}
+
+function lineageHtml(lineage) {
+  return lineageRows(lineage).map(([label, text, url]) => escHtml(label) + ': ' + (url
+    ? '<a href="' + escHtml(url) + '" target="_blank" rel="noopener" style="color:inherit">' + escHtml(text.slice(0, 8)) + '</a>'
+    : escHtml(text))).join(' - ');
+}
+
 function escHtml(s) {
   return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/\\r/g,'').replace(/\\n/g,' ');
 }
 
-function isSunoPlaylistUrl(url) {
+// Collection URL patterns come from the server's site adapters
+const adaptersReady = fetch('/api/adapters')
+  .then(res => (res.ok ? res.json() : []))
+  .then(adapters => adapters.flatMap(a => a.collections.map(c => ({ ...c, re: new RegExp(c.pattern, 'i') }))))
+  .catch(() => []);
+
+async function findCollection(url) {
+  const collections = await adaptersReady;
+  try {
+    const u = new URL(/^https?:\\/\\//i.test(url) ? url : 'https://' + url);
+    return collections.find(c => c.re.test(u.hostname + u.pathname)) || null;
+  } catch { return null; }
+}
+
+function isFeedUrl(url) {
   try {
     const u = new URL(/^https?:\\/\\//i.test(url) ? url : 'https://' + url);
-    return (u.hostname === 'suno.com' || u.hostname === 'www.suno.com') && u.pathname.startsWith('/playlist/');
+    return /^feeds?\\./.test(u.hostname) || /\\.(rss|atom|xml)$/i.test(u.pathname) || /\\/(feed|rss|atom)\\/?$/i.test(u.pathname);
   } catch { return false; }
 }
 
+async function loadCollection(endpoint, url, label, noun) {
+  batchProgressEl.classList.add('visible');
+  resultsListEl.classList.add('visible');
+  batchProgressEl.textContent = 'Fetching ' + label.toLowerCase() + '...';
+  try {
+    const res = await fetch(endpoint + '?url=' + encodeURIComponent(url) + deepParam() + templateParam());
+    const body = await res.json();
+    if (!res.ok) throw apiError(res, body, label + ' request failed');
+    const results = Array.isArray(body) ? body : body.items;
+    results.forEach((data) => {
+      if (data.error) {
+        const errCard = document.createElement('div');
+        errCard.className = 'result';
+        errCard.style.display = 'block';
+        errCard.innerHTML = '<div style="color:#ef4444;font-size:0.875rem"><strong>Failed:</strong> ' + escHtml(data.id || data.url || '') + '<br>' + escHtml(errorText(data.error)) + '</div>';
+        resultsListEl.appendChild(errCard);
+      } else {
+        resultsListEl.appendChild(buildResultCard(data, data.pageUrl || url));
+      }
+    });
+    batchProgressEl.textContent = label + ' loaded - ' + results.length + ' ' + noun + (body.truncated ? ' (list cut short at the limit)' : '') + '.';
+  } catch (err) {
+    batchProgressEl.textContent = '';
+    showError(err);
+  }
+  enableGo();
+}
+
+const discoverRow = document.getElementById('discover-row');
+let discoverUrl = '';
+
+async function discoverCurrent() {
+  discoverRow.style.display = 'none';
+  errorEl.classList.remove('visible');
+  goBtn.disabled = true;
+  await loadCollection('/api/discover', discoverUrl, 'Linked pages', 'with audio');
+}
+
 async function lookup() {
   const raw = urlInput.value.trim();
-  if (!raw) return;
+  if (!raw || retryTimer !== null) return;
 
   const urls = parseUrls(raw);
   if (urls.length === 0) return;
@@ -1809,35 +4928,16 @@ async function lookup() {
   resultsListEl.classList.remove('visible');
   resultsListEl.innerHTML = '';
   batchProgressEl.classList.remove('visible');
+  discoverRow.style.display = 'none';
   goBtn.disabled = true;
 
-  if (urls.length === 1 && isSunoPlaylistUrl(urls[0])) {
-    // Suno playlist - fetch all tracks
-    batchProgressEl.classList.add('visible');
-    resultsListEl.classList.add('visible');
-    batchProgressEl.textContent = 'Fetching playlist...';
-    try {
-      const res = await fetch('/api/playlist?url=' + encodeURIComponent(urls[0]));
-      const results = await res.json();
-      if (!res.ok) throw new Error(results.error || 'Playlist request failed');
-      results.forEach((data) => {
-        if (data.error) {
-          const errCard = document.createElement('div');
-          errCard.className = 'result';
-          errCard.style.display = 'block';
-          errCard.innerHTML = '<div style="color:#ef4444;font-size:0.875rem"><strong>Failed:</strong> ' + escHtml(data.id || '') + '<br>' + escHtml(data.error) + '</div>';
-          resultsListEl.appendChild(errCard);
-        } else {
-          resultsListEl.appendChild(buildResultCard(data, data.pageUrl || urls[0]));
-        }
-      });
-      batchProgressEl.textContent = 'Playlist loaded - ' + results.length + ' tracks.';
-    } catch (err) {
-      batchProgressEl.textContent = '';
-      errorEl.textContent = err.message;
-      errorEl.classList.add('visible');
-    }
-    goBtn.disabled = false;
+  const collection = urls.length === 1 ? await findCollection(urls[0]) : null;
+  if (collection) {
+    // Playlist, album etc. - a site adapter expands it into all its tracks
+    await loadCollection('/api/collection', urls[0], collection.label, collection.noun);
+  } else if (urls.length === 1 && isFeedUrl(urls[0])) {
+    // Podcast feed - fetch all episodes
+    await loadCollection('/api/feed', urls[0], 'Feed', 'episodes');
   } else if (urls.length === 1) {
     loadingEl.classList.add('visible');
     try {
@@ -1846,13 +4946,17 @@ async function lookup() {
       showSingleResult(data, urls[0]);
     } catch (err) {
       loadingEl.classList.remove('visible');
-      errorEl.textContent = err.message;
-      errorEl.classList.add('visible');
+      showError(err);
+      // No audio tag here - the page may link to pages that have one
+      if (err.code === 'NO_AUDIO_TAG') {
+        discoverUrl = urls[0];
+        discoverRow.style.display = '';
+      }
     } finally {
-      goBtn.disabled = false;
+      enableGo();
     }
   } else {
-    // Batch mode - single request, counts as one rate-limit token
+    // Batch mode - single request, the rate limit charges per URL
     batchProgressEl.classList.add('visible');
     resultsListEl.classList.add('visible');
     batchProgressEl.textContent = 'Fetching ' + urls.length + ' URLs...';
@@ -1864,7 +4968,7 @@ async function lookup() {
           const errCard = document.createElement('div');
           errCard.className = 'result';
           errCard.style.display = 'block';
-          errCard.innerHTML = '<div style="color:#ef4444;font-size:0.875rem"><strong>Failed:</strong> ' + escHtml(urls[i]) + '<br>' + escHtml(data.error) + '</div>';
+          errCard.innerHTML = '<div style="color:#ef4444;font-size:0.875rem"><strong>Failed:</strong> ' + escHtml(urls[i]) + '<br>' + escHtml(errorText(data.error)) + '</div>';
           resultsListEl.appendChild(errCard);
         } else {
           resultsListEl.appendChild(buildResultCard(data, data.pageUrl || urls[i]));
@@ -1873,10 +4977,9 @@ async function lookup() {
       batchProgressEl.textContent = 'Done - ' + results.length + ' URLs processed.';
     } catch (err) {
       batchProgressEl.textContent = '';
-      errorEl.textContent = err.message;
-      errorEl.classList.add('visible');
+      showError(err);
     }
-    goBtn.disabled = false;
+    enableGo();
   }
 }
 
@@ -1950,7 +5053,7 @@ function copyLink(btn) {
 // --- Router ---
 
 export default {
-  async fetch(request) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // CORS preflight
@@ -1958,22 +5061,42 @@ export default {
       return new Response(null, {
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         },
       });
     }
 
     if (url.pathname === '/api/info') {
-      return handleInfo(request);
+      return withRateLimit(request, env, ctx, 'info', () => handleInfo(request, env, ctx));
     }
 
     if (url.pathname === '/api/batch' && request.method === 'POST') {
-      return handleBatch(request);
+      return withRateLimit(request, env, ctx, 'batch', (spendPages) => handleBatch(request, env, ctx, spendPages));
     }
 
     if (url.pathname === '/api/playlist') {
-      return handlePlaylist(request);
+      return withRateLimit(request, env, ctx, 'playlist', () => handlePlaylist(request));
+    }
+
+    if (url.pathname === '/api/feed') {
+      return withRateLimit(request, env, ctx, 'feed', () => handleFeed(request));
+    }
+
+    if (url.pathname === '/api/collection') {
+      return withRateLimit(request, env, ctx, 'collection', () => handleCollection(request));
+    }
+
+    if (url.pathname === '/api/discover') {
+      return withRateLimit(request, env, ctx, 'discover', (spendPages) => handleDiscover(request, env, ctx, spendPages));
+    }
+
+    if (url.pathname === '/api/keys' || url.pathname.startsWith('/api/keys/')) {
+      return handleKeys(request, env);
+    }
+
+    if (url.pathname === '/api/adapters') {
+      return handleAdapters();
     }
 
     // Everything else serves the frontend
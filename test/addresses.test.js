@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers.js';
+
+const { parseIPv4, parseIPv6, isBlockedHost, validateUrl, safeFetch } = await loadWorker();
+
+const LOOPBACK = 0x7f000001;
+
+test('parseIPv4 reads every inet_aton form', () => {
+  for (const form of ['127.0.0.1', '2130706433', '0x7f000001', '0x7F.1', '0177.0.0.1', '0177.1', '127.1', '127.0.1', '0x7f.0.0.0x1']) {
+    assert.equal(parseIPv4(form), LOOPBACK, form);
+  }
+  assert.equal(parseIPv4('0'), 0);
+  assert.equal(parseIPv4('0x'), 0);
+  assert.equal(parseIPv4('255.255.255.255'), 0xffffffff);
+});
+
+test('parseIPv4 rejects what is not an address', () => {
+  for (const form of ['', '1.2.3.4.5', '256.0.0.1', '1.2.3.256', '1.2.65536', '4294967296', '08.0.0.1', '1.2.3.x', 'example.com', '1..2', '0x1g']) {
+    assert.equal(parseIPv4(form), null, form);
+  }
+});
+
+test('parseIPv6 reads compressed, full and dotted forms', () => {
+  assert.equal(parseIPv6('::1'), 1n);
+  assert.equal(parseIPv6('::'), 0n);
+  assert.equal(parseIPv6('0:0:0:0:0:0:0:1'), 1n);
+  assert.equal(parseIPv6('2001:DB8::8:800:200C:417A'), 0x20010db80000000000080800200c417an);
+  assert.equal(parseIPv6('::ffff:127.0.0.1'), 0xffff7f000001n);
+  assert.equal(parseIPv6('::ffff:7f00:1'), 0xffff7f000001n);
+  assert.equal(parseIPv6('::ffff:0:0'), 0xffff00000000n);
+  assert.equal(parseIPv6('fe80::1%eth0'), 0xfe800000000000000000000000000001n);
+});
+
+test('parseIPv6 rejects malformed addresses', () => {
+  for (const form of ['1::2::3', '1:2:3:4:5:6:7', '1:2:3:4:5:6:7:8:9', '::12345', '::ffff:127.1', '::ffff:1.2.3.256', 'g::1', '1:2:3:4:5:6:7::8']) {
+    assert.equal(parseIPv6(form), null, form);
+  }
+});
+
+test('isBlockedHost blocks loopback in every notation', () => {
+  for (const host of ['127.0.0.1', '2130706433', '0x7f000001', '0177.0.0.1', '127.1', '[::1]', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[0:0:0:0:0:ffff:7f00:1]']) {
+    assert.equal(isBlockedHost(host), true, host);
+  }
+});
+
+test('isBlockedHost blocks private, CGNAT, link-local and other reserved ranges', () => {
+  for (const host of ['10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1', '100.127.255.255', '169.254.169.254',
+    '0.0.0.0', '192.0.2.1', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+    '[fd00::1]', '[fe80::1]', '[ff02::1]', '[2001:db8::1]', '[64:ff9b::a9fe:a9fe]', '[2002:7f00:1::]', '[::ffff:10.0.0.1]', '[::ffff:a9fe:a9fe]']) {
+    assert.equal(isBlockedHost(host), true, host);
+  }
+});
+
+test('isBlockedHost allows public addresses next to the reserved ranges', () => {
+  for (const host of ['8.8.8.8', '100.63.255.255', '100.128.0.0', '172.15.255.255', '172.32.0.0', '169.253.0.1', '1.1.1.1',
+    '[2606:4700:4700::1111]', 'example.com', 'localhost.example.com', 'notlocal']) {
+    assert.equal(isBlockedHost(host), false, host);
+  }
+});
+
+test('isBlockedHost refuses IPv4-mapped IPv6 even for public addresses', () => {
+  assert.equal(isBlockedHost('[::ffff:8.8.8.8]'), true);
+});
+
+test('isBlockedHost blocks localhost names and local-only suffixes', () => {
+  for (const host of ['localhost', 'LOCALHOST', 'localhost.', 'api.localhost', 'a.b.localhost', 'printer.local', 'metadata.google.internal', 'router.home.arpa']) {
+    assert.equal(isBlockedHost(host), true, host);
+  }
+});
+
+test('isBlockedHost blocks bracketed hosts that are not IPv6', () => {
+  assert.equal(isBlockedHost('[not-an-ip]'), true);
+});
+
+test('validateUrl sees through URL normalisation', () => {
+  for (const url of ['http://2130706433/', 'http://0x7f.1/', 'http://[::ffff:127.0.0.1]:8080/', 'http://100.64.1.1/', 'https://foo.localhost/']) {
+    assert.equal(validateUrl(url)?.code, 'BLOCKED_ADDRESS', url);
+  }
+  assert.equal(validateUrl('ftp://example.com/')?.code, 'INVALID_URL');
+  assert.equal(validateUrl('https://example.com/'), null);
+});
+
+// fetch that answers each URL from a table; anything else is a test failure
+function mockFetch(t, routes) {
+  const seen = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    seen.push(String(url));
+    assert.equal(init.redirect, 'manual');
+    const route = routes[String(url)];
+    if (!route) throw new Error('unexpected request to ' + url);
+    return new Response(route.body ?? null, { status: route.status ?? 200, headers: route.headers });
+  });
+  return seen;
+}
+
+test('safeFetch follows redirects one checked hop at a time', async (t) => {
+  const seen = mockFetch(t, {
+    'https://example.com/a': { status: 301, headers: { Location: '/b' } },
+    'https://example.com/b': { status: 302, headers: { Location: 'https://cdn.example.net/c' } },
+    'https://cdn.example.net/c': { body: 'ok' },
+  });
+  const res = await safeFetch('https://example.com/a');
+  assert.equal(await res.text(), 'ok');
+  assert.deepEqual(seen, ['https://example.com/a', 'https://example.com/b', 'https://cdn.example.net/c']);
+});
+
+test('safeFetch refuses a redirect to a blocked address without requesting it', async (t) => {
+  for (const target of ['http://169.254.169.254/latest/meta-data/', 'http://2130706433/', 'http://[::ffff:10.0.0.1]/', 'http://admin.localhost/']) {
+    const seen = mockFetch(t, { 'https://example.com/': { status: 302, headers: { Location: target } } });
+    await assert.rejects(safeFetch('https://example.com/'), (err) => {
+      assert.equal(err.code, 'BLOCKED_ADDRESS');
+      assert.match(err.message, /^Redirect blocked/);
+      return true;
+    }, target);
+    assert.deepEqual(seen, ['https://example.com/']);
+    t.mock.restoreAll();
+  }
+});
+
+test('safeFetch refuses a blocked first URL', async (t) => {
+  const seen = mockFetch(t, {});
+  await assert.rejects(safeFetch('http://127.0.0.1/'), { code: 'BLOCKED_ADDRESS' });
+  assert.deepEqual(seen, []);
+});
+
+test('safeFetch gives up after too many redirects', async (t) => {
+  const routes = {};
+  for (let i = 0; i < 7; i++) routes['https://example.com/' + i] = { status: 302, headers: { Location: '/' + (i + 1) } };
+  const seen = mockFetch(t, routes);
+  await assert.rejects(safeFetch('https://example.com/0'), { code: 'TOO_MANY_REDIRECTS' });
+  assert.equal(seen.length, 6);
+});
+
+test('safeFetch reports a malformed Location as an origin error', async (t) => {
+  mockFetch(t, { 'https://example.com/': { status: 302, headers: { Location: 'http://[::zz]/' } } });
+  await assert.rejects(safeFetch('https://example.com/'), { code: 'ORIGIN_HTTP_ERROR', message: 'The site redirected to an invalid URL' });
+});
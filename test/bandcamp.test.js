@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, fixture } from './helpers.js';
+
+const { extractBandcampData, fetchBandcampRelease } = await loadWorker();
+
+// Serve one saved page for every request, recording the URLs asked for
+function servePage(t, name) {
+  const seen = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    seen.push(String(url));
+    return new Response(fixture('bandcamp/' + name), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  });
+  return seen;
+}
+
+test('extractBandcampData decodes the entity-escaped data attributes', () => {
+  const { tralbum, embed } = extractBandcampData(fixture('bandcamp/album.html', 'utf8'));
+  assert.equal(tralbum.item_type, 'album');
+  assert.equal(tralbum.current.title, 'Night Drives & Day Trips');
+  assert.equal(tralbum.trackinfo.length, 3);
+  assert.equal(tralbum.trackinfo[0].title, 'Opening "Theme"');
+  assert.equal(tralbum.trackinfo[0].file['mp3-128'], 'https://t4.bcbits.com/stream/aaa/mp3-128/111?p=0&ts=1700000000&t=abc');
+  assert.equal(embed.album_title, 'Night Drives & Day Trips');
+});
+
+test('extractBandcampData finds the attributes on separate body tags', () => {
+  const { tralbum, embed } = extractBandcampData(fixture('bandcamp/track.html', 'utf8'));
+  assert.equal(tralbum.item_type, 'track');
+  assert.equal(embed.album_title, 'From the Album');
+});
+
+test('extractBandcampData skips JSON that does not parse', () => {
+  assert.deepEqual(extractBandcampData(fixture('bandcamp/broken-tralbum.html', 'utf8')), { tralbum: null, embed: null });
+  assert.deepEqual(extractBandcampData(fixture('bandcamp/no-release.html', 'utf8')), { tralbum: null, embed: null });
+});
+
+test('fetchBandcampRelease expands an album into its tracks', async (t) => {
+  const pageUrl = 'https://example-band.bandcamp.com/album/night-drives-day-trips';
+  const seen = servePage(t, 'album.html');
+  const release = await fetchBandcampRelease(pageUrl);
+  assert.deepEqual(seen, [pageUrl]);
+  assert.equal(release.title, 'Night Drives & Day Trips');
+  assert.equal(release.truncated, false);
+  assert.equal(release.items.length, 3);
+
+  const [first, second, bonus] = release.items;
+  assert.equal(first.audioUrl, 'https://t4.bcbits.com/stream/aaa/mp3-128/111?p=0&ts=1700000000&t=abc');
+  assert.equal(first.title, 'Opening "Theme"');
+  assert.equal(first.artist, 'The Example Band');
+  assert.equal(first.album, 'Night Drives & Day Trips');
+  assert.equal(first.lyrics, 'First line\nSecond line');
+  assert.equal(first.year, '2019');
+  assert.equal(first.releaseDate, '2019-03-01');
+  assert.equal(first.durationMs, 183456);
+  assert.equal(first.trackNumber, 1);
+  assert.equal(first.trackTotal, 3);
+  assert.equal(first.mimeType, 'audio/mpeg');
+  assert.equal(first.sourceTag, 'bandcamp');
+  assert.equal(first.image, 'https://f4.bcbits.com/img/a0987654321_10.jpg');
+  assert.equal(first.pageUrl, 'https://example-band.bandcamp.com/track/opening-theme');
+  assert.match(first.filename, /\.mp3$/);
+
+  assert.equal(second.artist, 'Guest Singer');
+  assert.equal(second.title, 'Café at 3 a.m.');
+  assert.equal(second.lyrics, null);
+
+  assert.deepEqual(bonus, {
+    error: { code: 'TRACK_UNAVAILABLE', message: 'This track is not available to stream' },
+    id: 'Bonus (Pre-order Only)',
+  });
+});
+
+test('fetchBandcampRelease takes a track page\'s album from data-embed', async (t) => {
+  servePage(t, 'track.html');
+  const release = await fetchBandcampRelease('https://solo.bandcamp.com/track/single-song');
+  assert.equal(release.title, 'From the Album');
+  assert.equal(release.items.length, 1);
+  const [track] = release.items;
+  assert.equal(track.artist, 'Solo Artist');
+  assert.equal(track.album, 'From the Album');
+  assert.equal(track.releaseDate, '2021-06-15');
+  assert.equal(track.durationMs, 200500);
+  assert.equal(track.trackNumber, 1);
+  assert.equal(track.lyrics, null);
+  assert.equal(track.image, 'https://f4.bcbits.com/img/a0000000055_10.jpg');
+});
+
+test('fetchBandcampRelease reports pages without release data', async (t) => {
+  for (const name of ['no-release.html', 'broken-tralbum.html']) {
+    servePage(t, name);
+    await assert.rejects(fetchBandcampRelease('https://somebody.bandcamp.com/merch'), { code: 'NO_AUDIO_TAG' }, name);
+    t.mock.restoreAll();
+  }
+});
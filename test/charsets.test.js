@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, fixture } from './helpers.js';
+
+const { detectCharset, decodeBody, parseHead, extractMeta, streamBody } = await loadWorker();
+
+// Each case in fixtures/charsets/cases.json is a page saved in its own
+// encoding, with the Content-Type header it is served with
+const cases = JSON.parse(fixture('charsets/cases.json', 'utf8'));
+
+for (const { file, contentType, charset, title, ogTitle } of cases) {
+  test(`charset: ${file}`, () => {
+    const bytes = fixture('charsets/' + file);
+    assert.equal(detectCharset(bytes, contentType), charset);
+    const head = parseHead(decodeBody(bytes, contentType));
+    assert.equal(head.title, title);
+    assert.equal(extractMeta(head, 'og:title'), ogTitle);
+  });
+}
+
+test('detectCharset only looks for declarations near the start', () => {
+  const late = new TextEncoder().encode('<!--' + ' '.repeat(5000) + '--><meta charset="windows-1251">');
+  assert.equal(detectCharset(late, 'text/html'), 'utf-8');
+});
+
+test('detectCharset reads the XML declaration', () => {
+  const bytes = new TextEncoder().encode('<?xml version="1.0" encoding="Windows-1251"?><rss></rss>');
+  assert.equal(detectCharset(bytes, 'application/rss+xml'), 'windows-1251');
+});
+
+test('a readable UTF-16 declaration means UTF-8', () => {
+  const bytes = new TextEncoder().encode('<meta charset="utf-16"><title>x</title>');
+  assert.equal(detectCharset(bytes, 'text/html'), 'utf-8');
+});
+
+test('decodeBody falls back to UTF-8 for an unknown label', () => {
+  const bytes = new TextEncoder().encode('<title>Café</title>');
+  assert.equal(decodeBody(bytes, 'text/html; charset=x-made-up'), '<title>Café</title>');
+});
+
+test('streamBody decodes characters split across chunks', async () => {
+  const bytes = fixture('charsets/shift_jis-meta-charset.html');
+  const body = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 7) controller.enqueue(bytes.subarray(i, i + 7));
+      controller.close();
+    },
+  });
+  const html = await streamBody(new Response(body, { headers: { 'Content-Type': 'text/html' } }), 1 << 20).read();
+  assert.equal(parseHead(html).title, '日本語のタイトル');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { loadWorker } from './helpers.js';
+import { CLI_URL, renderCliEntities } from '../scripts/cli-entities.js';
+
+const { decodeHtmlText, parseHead } = await loadWorker();
+
+test('decodeHtmlText knows the full WHATWG table', () => {
+  assert.equal(decodeHtmlText('&eacute;&rsquo;&NotEqualTilde;&Afr;&bigstar;'), 'é’≂̸\u{1D504}★');
+  assert.equal(decodeHtmlText('&AMP;&COPY;&bogus;'), '&©&bogus;');
+});
+
+test('decodeHtmlText decodes legacy names without a semicolon', () => {
+  assert.equal(decodeHtmlText('Tom &amp Jerry &copy 2024'), 'Tom & Jerry © 2024');
+  assert.equal(decodeHtmlText('&copy2024 &notit; &notin;'), '©2024 ¬it; ∉');
+  assert.equal(decodeHtmlText('&eacute &rsquo AT&T'), 'é &rsquo AT&T');
+});
+
+test('decodeHtmlText leaves legacy names in attributes before a letter, digit or =', () => {
+  const attribute = { attribute: true };
+  assert.equal(decodeHtmlText('?a=1&copy=2&amp;b=3', attribute), '?a=1&copy=2&b=3');
+  assert.equal(decodeHtmlText('&copy2024 &notit; &amp ok', attribute), '&copy2024 &notit; & ok');
+  assert.equal(parseHead('<meta property="og:audio" content="/a.mp3?x=1&reg=2&copy;">').entries[0][1], '/a.mp3?x=1&reg=2©');
+});
+
+test('decodeHtmlText decodes in one pass', () => {
+  assert.equal(decodeHtmlText('&amp;lt; &amp;amp'), '&lt; &amp');
+});
+
+test('og-audio-dl.sh carries the same entity table', () => {
+  const script = readFileSync(CLI_URL, 'utf8');
+  assert.equal(renderCliEntities(script), script, 'run `npm run entities` to update og-audio-dl.sh');
+});
+
+// Runs the CLI's decode_entities on each input, one line of output per input
+function cliDecode(inputs, mode = '') {
+  const script = `source <(sed -n '/^decode_entities() {/,/^}/p' "$1"); shift
+for input in "$@"; do decode_entities "$input" ${mode}; done`;
+  const out = execFileSync('bash', ['-c', script, 'cli', new URL(CLI_URL).pathname, ...inputs], { encoding: 'utf8' });
+  return out.split('\n').slice(0, inputs.length);
+}
+
+const hasPerl = (() => {
+  try {
+    execFileSync('perl', ['-MUnicode::Normalize', '-e', '1']);
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+test('og-audio-dl.sh decodes references the way the worker does', { skip: !hasPerl && 'needs perl' }, () => {
+  const inputs = [
+    '&#128;&#x92;&#150; &#0; &#xD800; &#99999999999; &#x110000;', '&#8217 &#x2014x &#233;', 'Caf&eacute; &NotEqualTilde; &Afr;',
+    'Tom &amp Jerry &copy2024 &notit; AT&T &bogus;', '?a=1&copy=2&amp;b=3', '&amp;lt;',
+  ];
+  assert.deepEqual(cliDecode(inputs), inputs.map(input => decodeHtmlText(input).normalize('NFC')));
+  assert.deepEqual(cliDecode(inputs, 'attribute'), inputs.map(input => decodeHtmlText(input, { attribute: true }).normalize('NFC')));
+});
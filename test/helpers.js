@@ -0,0 +1,35 @@
+/**
+ * Test helpers. The worker is a single module whose helpers are private,
+ * so loadWorker() imports a copy of src/worker.js that also exports every
+ * top-level function, class and constant by name. The deployed module
+ * and its exports are unchanged.
+ */
+import { readdirSync, readFileSync } from 'node:fs';
+
+const WORKER_URL = new URL('../src/worker.js', import.meta.url);
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+
+let worker;
+
+export async function loadWorker() {
+  if (worker) return worker;
+  let source = readFileSync(WORKER_URL, 'utf8');
+  // The frontend's own script lives in FRONTEND_HTML; its names aren't the module's
+  const moduleCode = source.replace(/^const FRONTEND_HTML = `[\s\S]*?^<\/html>`;$/m, '');
+  const names = [...moduleCode.matchAll(/^(?:async\s+)?(?:function\*?|const|let|class)\s+([\w$]+)/gm)].map(m => m[1]);
+  // A data: URL module can't resolve relative imports, so make them absolute
+  source = source.replace(/^(import\s[^;]*?from\s+)'(\.{1,2}\/[^']+)'/gm, (_, head, spec) => `${head}'${new URL(spec, WORKER_URL).href}'`);
+  source += `\nexport { ${['FRONTEND_HTML', ...names].join(', ')} };\n`;
+  worker = await import('data:text/javascript;base64,' + Buffer.from(source).toString('base64'));
+  return worker;
+}
+
+/** Read a file under test/fixtures as bytes, or as text with an encoding. */
+export function fixture(path, encoding) {
+  return readFileSync(new URL(path, FIXTURES_URL), encoding);
+}
+
+/** Names of the files in a test/fixtures directory, sorted. */
+export function fixtureNames(dir, ext) {
+  return readdirSync(new URL(dir + '/', FIXTURES_URL)).filter(name => name.endsWith(ext)).sort();
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, fixture, fixtureNames } from './helpers.js';
+
+const { tokenizeHtml, parseHead, extractMeta, extractAudioInfo } = await loadWorker();
+
+// Each fixtures/html/<name>.html is checked against <name>.json
+for (const name of fixtureNames('html', '.html')) {
+  test(`parseHead: ${name}`, () => {
+    const head = parseHead(fixture('html/' + name, 'utf8'));
+    const expected = JSON.parse(fixture('html/' + name.replace(/\.html$/, '.json'), 'utf8'));
+    assert.deepEqual({ title: head.title, base: head.base, meta: head.entries, links: head.links }, expected);
+  });
+}
+
+test('tokenizeHtml yields start, end and raw text tokens', () => {
+  const tokens = [...tokenizeHtml('<p class=a>x</p><script>if (a<b) {}</script><br/>')];
+  assert.deepEqual(tokens, [
+    { type: 'start', name: 'p', attrs: Object.assign(Object.create(null), { class: 'a' }), selfClosing: false },
+    { type: 'end', name: 'p' },
+    { type: 'start', name: 'script', attrs: Object.create(null), selfClosing: false },
+    { type: 'text', name: 'script', text: 'if (a<b) {}' },
+    { type: 'end', name: 'script' },
+    { type: 'start', name: 'br', attrs: Object.create(null), selfClosing: true },
+  ]);
+});
+
+test('tokenizeHtml keeps the first of repeated attributes', () => {
+  const [token] = tokenizeHtml('<meta content="one" content="two">');
+  assert.equal(token.attrs.content, 'one');
+});
+
+test('tokenizeHtml stops at a script that is never closed', () => {
+  const tokens = [...tokenizeHtml('<script>var a = "<meta property=og:audio content=x>"')];
+  assert.equal(tokens.length, 2);
+  assert.equal(tokens[1].text, 'var a = "<meta property=og:audio content=x>"');
+});
+
+test('tokenizeHtml in XML mode yields text and CDATA', () => {
+  const tokens = [...tokenizeHtml('<title>A &amp; B</title><d><![CDATA[<b>raw</b>]]></d>', { xml: true })];
+  assert.deepEqual(tokens.filter(t => t.type === 'text').map(t => t.text), ['A & B', '<b>raw</b>']);
+});
+
+test('extractMeta returns the first value for a key', () => {
+  const head = parseHead(fixture('html/shared-and-repeated-keys.html', 'utf8'));
+  assert.equal(extractMeta(head, 'og:audio'), 'https://cdn.example.com/both.mp3');
+  assert.equal(extractMeta(head, 'og:image'), null);
+});
+
+test('extractAudioInfo stops reading at </head> when the head declares audio', async (t) => {
+  const chunks = [
+    '<html><head><meta property="og:audio" content="https://cdn.example.com/a.mp3"><meta property="og:title" content="Song"></head>',
+    '<body>' + 'x'.repeat(1000) + '</body></html>',
+  ];
+  t.mock.method(globalThis, 'fetch', async () => new Response(new ReadableStream({
+    pull(controller) {
+      if (chunks.length) controller.enqueue(new TextEncoder().encode(chunks.shift()));
+      else controller.close();
+    },
+  }), { headers: { 'Content-Type': 'text/html' } }));
+  const info = await extractAudioInfo('https://example.com/song');
+  assert.equal(info.audioUrl, 'https://cdn.example.com/a.mp3');
+  assert.equal(info.debug.stoppedAt, 'head');
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, fixture } from './helpers.js';
+
+const { normaliseSunoClip, extractSunoClipMeta, fetchSunoPlaylist, fetchSunoProfile } = await loadWorker();
+
+const clip = (name) => JSON.parse(fixture('suno/' + name + '.json', 'utf8'));
+const embedPage = fixture('suno/embed-prompt-token.html', 'utf8');
+
+test('displayed lyrics win over the prompt', () => {
+  const meta = normaliseSunoClip(clip('displayed-lyrics'));
+  assert.match(meta.lyrics, /^\[Verse 1\]\nWalking down the empty road tonight\n/);
+  assert.doesNotMatch(meta.lyrics, /older draft/);
+  assert.equal(meta.instrumental, false);
+  assert.equal(meta.styleTags, 'indie folk, warm female vocals, fingerpicked guitar');
+  assert.equal(meta.displayTags, 'indie folk, acoustic');
+  assert.equal(meta.year, '2024');
+  assert.equal(meta.durationMs, 187520);
+  assert.equal(meta.model, 'v4.5');
+});
+
+test('lineage lists the extended clips and persona, not the clip itself', () => {
+  const { lineage } = normaliseSunoClip(clip('displayed-lyrics'));
+  assert.equal(lineage.type, 'concat');
+  assert.deepEqual(lineage.extends, [{
+    id: '0a1b2c3d-0000-4000-8000-000000000000',
+    pageUrl: 'https://suno.com/song/0a1b2c3d-0000-4000-8000-000000000000',
+    continueAt: 60.5,
+  }]);
+  assert.deepEqual(lineage.persona, { id: 'p-123', name: 'Warm Alto' });
+  assert.equal(lineage.coverOf, null);
+});
+
+test('a "$N" prompt token is resolved from the embed page', () => {
+  const meta = normaliseSunoClip(clip('prompt-token'), embedPage);
+  assert.match(meta.lyrics, /^\[Intro\]\nNeon lights are fading into blue\n/);
+  assert.match(meta.lyrics, /Back to you, back to you$/);
+  assert.equal(meta.year, '2023');
+  assert.equal(meta.durationMs, 120000);
+});
+
+test('a "$N" prompt token without the page gives no lyrics', () => {
+  const meta = normaliseSunoClip(clip('prompt-token'));
+  assert.equal(meta.lyrics, null);
+  assert.equal(meta.instrumental, false);
+});
+
+test('extractSunoClipMeta reads the clip out of the embed page', () => {
+  const meta = extractSunoClipMeta(embedPage);
+  assert.match(meta.lyrics, /^\[Intro\]/);
+  assert.equal(meta.styleTags, 'synthwave');
+  assert.equal(meta.model, 'v3.5');
+  assert.equal(extractSunoClipMeta('<html><body>no clip</body></html>'), null);
+});
+
+test('[Instrumental] as the displayed lyrics marks the song instrumental', () => {
+  const meta = normaliseSunoClip(clip('instrumental-tag'));
+  assert.equal(meta.lyrics, null);
+  assert.equal(meta.instrumental, true);
+  assert.equal(meta.year, '2024');
+});
+
+test('make_instrumental marks the song instrumental without lyrics', () => {
+  const meta = normaliseSunoClip(clip('make-instrumental'));
+  assert.equal(meta.lyrics, null);
+  assert.equal(meta.instrumental, true);
+  assert.equal(meta.styleTags, 'lofi hip hop, chill');
+  assert.equal(meta.durationMs, 150250);
+});
+
+test('a bad created_at or duration gives null rather than a wrong value', () => {
+  const meta = normaliseSunoClip(clip('bad-created-at'));
+  assert.equal(meta.year, null);
+  assert.equal(meta.durationMs, null);
+  assert.equal(meta.lyrics, 'Short words');
+});
+
+test('a clip with no created_at or metadata normalises to empty fields', () => {
+  assert.deepEqual(normaliseSunoClip(clip('missing-created-at')), {
+    lyrics: null, instrumental: false, styleTags: null, displayTags: null,
+    year: null, durationMs: null, model: null, lineage: null,
+  });
+});
+
+test('the year is taken in UTC', () => {
+  const meta = normaliseSunoClip({ id: 'x', created_at: '2023-12-31T23:30:00-02:00', metadata: {} });
+  assert.equal(meta.year, '2024');
+});
+
+// fetch that answers every request with the same response
+function mockApi(t, body, init) {
+  t.mock.method(globalThis, 'fetch', async () => new Response(body, init));
+}
+
+test('a Suno playlist response that is not JSON is an origin error', async (t) => {
+  mockApi(t, '<html>Service unavailable</html>', { headers: { 'Content-Type': 'text/html' } });
+  await assert.rejects(fetchSunoPlaylist('https://suno.com/playlist/abc'), { code: 'ORIGIN_HTTP_ERROR', message: 'Failed to fetch playlist: the response is not JSON' });
+});
+
+test('a missing Suno playlist is NOT_FOUND', async (t) => {
+  mockApi(t, '{}', { status: 404 });
+  await assert.rejects(fetchSunoPlaylist('https://suno.com/playlist/abc'), { code: 'NOT_FOUND', message: 'Suno playlist not found' });
+});
+
+test('an oversized Suno playlist response is refused', async (t) => {
+  mockApi(t, '{}', { headers: { 'Content-Length': String(3 * 1024 * 1024) } });
+  await assert.rejects(fetchSunoPlaylist('https://suno.com/playlist/abc'), { code: 'PAGE_TOO_LARGE' });
+});
+
+test('a Suno profile response that is not JSON is an origin error', async (t) => {
+  mockApi(t, 'not json');
+  await assert.rejects(fetchSunoProfile('https://suno.com/@someone'), { code: 'ORIGIN_HTTP_ERROR', message: 'Failed to fetch Suno profile: the response is not JSON' });
+});
+
+// Profile API pages of `perPage` clips each, out of `total`
+function mockProfile(t, perPage, total) {
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const page = Number(new URL(url).searchParams.get('page'));
+    const clips = [];
+    for (let i = (page - 1) * perPage; i < Math.min(page * perPage, total); i++) clips.push({ ...clip('displayed-lyrics'), id: 'clip-' + i });
+    return new Response(JSON.stringify({ handle: 'someone', num_total_clips: total, clips }));
+  });
+}
+
+test('a Suno profile cut short by the page cap is truncated', async (t) => {
+  mockProfile(t, 2, 60);
+  const profile = await fetchSunoProfile('https://suno.com/@someone');
+  assert.equal(profile.items.length, 40);
+  assert.equal(profile.truncated, true);
+});
+
+test('a Suno profile read to the end is not truncated', async (t) => {
+  mockProfile(t, 20, 30);
+  const profile = await fetchSunoProfile('https://suno.com/@someone');
+  assert.equal(profile.items.length, 30);
+  assert.equal(profile.truncated, false);
+});
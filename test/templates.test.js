@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker } from './helpers.js';
+
+const { renderFilename, applyTemplate } = await loadWorker();
+
+test('renderFilename trims trailing dots and spaces from each value', () => {
+  assert.equal(renderFilename('{title}.{ext}', { title: 'a.b.', ext: 'mp3' }), 'a.b.mp3');
+  assert.equal(renderFilename('{artist}/{album}/{title}.{ext}', { artist: 'R.E.M. ', album: 'Vol. 1...', title: 'Song', ext: 'mp3' }), 'R.E.M/Vol. 1/Song.mp3');
+  assert.equal(renderFilename('{artist} - {title}', { artist: 'Someone', title: 'Wait...', ext: 'm4a' }), 'Someone - Wait.m4a');
+});
+
+test('renderFilename drops the separators a missing value leaves behind', () => {
+  assert.equal(renderFilename('{artist} - {title} [{year}].{ext}', { title: 'Song', ext: 'mp3' }), 'Song.mp3');
+  assert.equal(renderFilename('{track:02} {title}.{ext}', { track: 3, title: 'a/b', ext: 'mp3' }), '03 a_b.mp3');
+});
+
+test('applyTemplate keeps the extension from the result filename', () => {
+  const info = { title: 'Song.', artist: 'Someone', filename: 'Someone - Song.m4a', pageUrl: 'https://www.example.com/song' };
+  assert.equal(applyTemplate(info, '{host}/{title}.{ext}').filename, 'example.com/Song.m4a');
+});